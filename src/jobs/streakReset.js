@@ -0,0 +1,71 @@
+import School from '../models/School.js'
+import Student from '../models/Student.js'
+import { snapshotPerformance, recordPerformanceChange } from '../utils/performance.js'
+import { resolveTimezone, startOfLocalDay } from '../utils/dates.js'
+
+// Hourly by default, so every school is swept shortly after its own local midnight
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+let timer = null
+let running = false
+
+// Reset the streak of every student who had no lesson yesterday (school-local) or today
+export const resetMissedStreaks = async (now = new Date()) => {
+  const schools = await School.find().select('settings.timezone')
+  let reset = 0
+
+  for (const school of schools) {
+    const timezone = resolveTimezone(school.settings?.timezone)
+    // A streak is still alive if the last lesson was on or after the start of local yesterday
+    const cutoff = startOfLocalDay(now, timezone, 1)
+
+    const students = await Student.find({
+      schoolId: school._id,
+      'performance.streak': { $gt: 0 },
+      'performance.lastActivity': { $lt: cutoff }
+    })
+
+    for (const student of students) {
+      const before = snapshotPerformance(student.performance)
+      try {
+        await student.resetStreak()
+      } catch (error) {
+        // The student was updated since it was read (usually a new lesson); the next run looks again
+        if (error.name === 'VersionError') continue
+        throw error
+      }
+      await recordPerformanceChange(student, before, { source: 'system' })
+      reset++
+    }
+  }
+
+  return { reset, schools: schools.length }
+}
+
+const run = async () => {
+  if (running) return
+  running = true
+  try {
+    const { reset } = await resetMissedStreaks()
+    if (reset > 0) console.log(`🔥 Streak job: reset ${reset} missed streak(s)`)
+  } catch (error) {
+    console.error('Streak job error:', error)
+  } finally {
+    running = false
+  }
+}
+
+// Start the in-process streak job (STREAK_JOB_INTERVAL_MS overrides the interval)
+export const startStreakResetJob = () => {
+  if (timer) return timer
+  const interval = parseInt(process.env.STREAK_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+  timer = setInterval(run, interval)
+  timer.unref()
+  run()
+  return timer
+}
+
+export const stopStreakResetJob = () => {
+  if (timer) clearInterval(timer)
+  timer = null
+}
@@ -0,0 +1,81 @@
+import School from '../models/School.js'
+import Student from '../models/Student.js'
+import User from '../models/User.js'
+import Session from '../models/Session.js'
+import Class from '../models/Class.js'
+import AcademicYear from '../models/AcademicYear.js'
+import LearningActivity from '../models/LearningActivity.js'
+import PerformanceHistory from '../models/PerformanceHistory.js'
+import StudentYearRecord from '../models/StudentYearRecord.js'
+import { getTrashRetentionDays } from '../utils/softDelete.js'
+
+// Hourly by default; records are removed within an hour of their retention running out
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000
+
+let timer = null
+let running = false
+
+// Permanently remove schools and students that have been in the trash longer than TRASH_RETENTION_DAYS,
+// along with the students' activity, history and year records and their parent links. A purged school
+// takes everything else that belongs to it too: any students still assigned to it, its classes and academic
+// years, and its school admin and teacher accounts with their sessions.
+export const purgeDeletedRecords = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000)
+
+  const schoolIds = await School.find({ deletedAt: { $ne: null, $lte: cutoff } }).distinct('_id')
+  const studentIds = await Student.find({ $or: [{ deletedAt: { $ne: null, $lte: cutoff } }, { schoolId: { $in: schoolIds } }] })
+    .setOptions({ withDeleted: true })
+    .distinct('_id')
+  if (studentIds.length > 0) {
+    await Promise.all([
+      LearningActivity.deleteMany({ studentId: { $in: studentIds } }),
+      PerformanceHistory.deleteMany({ studentId: { $in: studentIds } }),
+      StudentYearRecord.deleteMany({ studentId: { $in: studentIds } }),
+      User.updateMany({ studentIds: { $in: studentIds } }, { $pull: { studentIds: { $in: studentIds } } })
+    ])
+    await Student.deleteMany({ _id: { $in: studentIds } })
+  }
+
+  let users = 0
+  if (schoolIds.length > 0) {
+    const userIds = await User.find({ schoolId: { $in: schoolIds }, role: { $in: ['school_admin', 'teacher'] } }).distinct('_id')
+    await Promise.all([
+      Class.deleteMany({ schoolId: { $in: schoolIds } }),
+      AcademicYear.deleteMany({ schoolId: { $in: schoolIds } }),
+      StudentYearRecord.deleteMany({ schoolId: { $in: schoolIds } }),
+      Session.deleteMany({ userId: { $in: userIds } })
+    ])
+    users = (await User.deleteMany({ _id: { $in: userIds } })).deletedCount
+    await School.deleteMany({ _id: { $in: schoolIds } })
+  }
+
+  return { students: studentIds.length, schools: schoolIds.length, users }
+}
+
+const run = async () => {
+  if (running) return
+  running = true
+  try {
+    const { students, schools, users } = await purgeDeletedRecords()
+    if (students > 0 || schools > 0) console.log(`🗑️ Trash purge: removed ${schools} school(s), ${students} student(s) and ${users} staff account(s)`)
+  } catch (error) {
+    console.error('Trash purge job error:', error)
+  } finally {
+    running = false
+  }
+}
+
+// Start the in-process purge job (TRASH_PURGE_INTERVAL_MS overrides the interval)
+export const startTrashPurgeJob = () => {
+  if (timer) return timer
+  const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_INTERVAL_MS
+  timer = setInterval(run, interval)
+  timer.unref()
+  run()
+  return timer
+}
+
+export const stopTrashPurgeJob = () => {
+  if (timer) clearInterval(timer)
+  timer = null
+}
@@ -0,0 +1,28 @@
+import crypto from 'crypto'
+import { protect, requireSuperAdmin } from './auth.js'
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a))
+  const right = Buffer.from(String(b))
+  return left.length === right.length && crypto.timingSafeEqual(left, right)
+}
+
+// Middleware for machine-to-machine routes: the learning app sends X-Api-Key (LEARNING_APP_API_KEY).
+// Without a key, fall back to a super admin session (e.g. for backfills).
+export const authenticateLearningApp = (req, res, next) => {
+  const apiKey = req.get('X-Api-Key')
+
+  if (apiKey) {
+    const expected = process.env.LEARNING_APP_API_KEY
+    if (expected && safeEqual(apiKey, expected)) {
+      req.client = 'learning-app'
+      return next()
+    }
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key'
+    })
+  }
+
+  return protect(req, res, () => requireSuperAdmin(req, res, next))
+}
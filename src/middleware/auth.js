@@ -1,43 +1,52 @@
 import jwt from 'jsonwebtoken'
 import User from '../models/User.js'
+import { isSessionActive } from '../utils/sessions.js'
+
+// Each rejection carries a `code` so the frontend can tell an expired token (refresh it) from one that
+// can no longer be used at all (send the user back to login)
+const rejectToken = (res, error, code) => res.status(401).json({ success: false, error, code })
 
 const protect = async (req, res, next) => {
-  let token
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return rejectToken(res, 'Not authorized, no token', 'NO_TOKEN')
+  }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1]
+  let decoded
+  try {
+    // Get token from header and verify it
+    const token = req.headers.authorization.split(' ')[1]
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') return rejectToken(res, 'Token expired', 'TOKEN_EXPIRED')
+    return rejectToken(res, 'Not authorized, token failed', 'INVALID_TOKEN')
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+  try {
+    // Get user from token
+    req.user = await User.findById(decoded.id).select('-password')
+    if (!req.user) return rejectToken(res, 'User not found', 'USER_NOT_FOUND')
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password')
+    if (!req.user.isActive || req.user.deactivatedAfter(decoded.iat)) {
+      return rejectToken(res, 'Account is deactivated', 'ACCOUNT_DEACTIVATED')
+    }
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User not found'
-        })
-      }
+    // Tokens issued before the last password change may have been stolen with the old password
+    if (req.user.changedPasswordAfter(decoded.iat)) {
+      return rejectToken(res, 'Password was changed; please log in again', 'PASSWORD_CHANGED')
+    }
 
-      next()
-    } catch (error) {
-      console.error('Token verification error:', error)
-      return res.status(401).json({
-        success: false,
-        error: 'Not authorized, token failed'
-      })
+    // Session the token was issued for (absent on tokens from before sessions, which only a force logout
+    // of every device can end)
+    req.sessionId = decoded.sid
+    if (req.user.signedOutAfter(decoded.iat) || !(await isSessionActive(decoded.sid))) {
+      return rejectToken(res, 'Session has been signed out', 'SESSION_REVOKED')
     }
+  } catch (error) {
+    console.error('Token verification error:', error)
+    return rejectToken(res, 'Not authorized, token failed', 'INVALID_TOKEN')
   }
 
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized, no token'
-    })
-  }
+  next()
 }
 
 // Middleware to check if user is super admin
@@ -0,0 +1,24 @@
+import { getPasswordPolicy, checkPassword } from '../utils/passwordPolicy.js'
+
+// Middleware factory to enforce the stored password policy on a body field
+export const enforcePasswordPolicy = (field = 'password') => async (req, res, next) => {
+  try {
+    const policy = await getPasswordPolicy()
+    const failedRules = checkPassword(req.body?.[field], policy)
+
+    if (failedRules.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet the password policy',
+        code: 'PASSWORD_POLICY_VIOLATION',
+        field,
+        failedRules
+      })
+    }
+
+    next()
+  } catch (error) {
+    console.error('Password policy error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+}
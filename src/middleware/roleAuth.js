@@ -1,3 +1,5 @@
+import mongoose from 'mongoose'
+
 // Note: No direct model imports required here; this middleware relies on req.user populated by auth middleware
 
 // Middleware to check if user is super admin
@@ -35,11 +37,11 @@ export const canAccessSchool = async (req, res, next) => {
       return next()
     }
 
-    // School admin can only access their own school
-    if (req.user.role === 'school_admin') {
+    // School admins and teachers can only access their own school
+    if (['school_admin', 'teacher'].includes(req.user.role)) {
       if (!req.user.schoolId) {
         return res.status(403).json({ 
-          message: 'School admin not associated with any school',
+          message: 'User not associated with any school',
           currentRole: req.user.role
         })
       }
@@ -97,8 +99,8 @@ export const canViewData = async (req, res, next) => {
       return res.status(401).json({ message: 'Authentication required' })
     }
 
-    // Both super admin and school admin can view data
-    if (['super_admin', 'school_admin'].includes(req.user.role)) {
+    // Super admins, school admins and teachers can view data (teachers only for their classes, see scopeStudents)
+    if (['super_admin', 'school_admin', 'teacher'].includes(req.user.role)) {
       return next()
     }
 
@@ -111,3 +113,136 @@ export const canViewData = async (req, res, next) => {
     res.status(500).json({ message: 'View permission check failed', error: error.message })
   }
 }
+
+// Middleware for school-wide data that teachers may not see (school stats, cross-school comparisons)
+export const canViewSchoolData = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' })
+    }
+
+    if (['super_admin', 'school_admin'].includes(req.user.role)) {
+      return next()
+    }
+
+    return res.status(403).json({ 
+      message: 'Access denied. School-wide data is restricted to administrators.',
+      currentRole: req.user.role
+    })
+
+  } catch (error) {
+    res.status(500).json({ message: 'View permission check failed', error: error.message })
+  }
+}
+
+// Middleware to check if user can update student performance and assessments
+export const canUpdateStudentRecords = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' })
+    }
+
+    // Super admins for any student; teachers for their own students (checked against req.studentScope)
+    if (['super_admin', 'teacher'].includes(req.user.role)) {
+      return next()
+    }
+
+    return res.status(403).json({ 
+      message: 'Access denied. Only super admins and class teachers can update student records.',
+      currentRole: req.user.role,
+      operation: req.method
+    })
+
+  } catch (error) {
+    res.status(500).json({ message: 'Update permission check failed', error: error.message })
+  }
+}
+
+// Filter every student query of a request must include: school admins are limited to their school,
+// teachers to the students of their classes, parents to their own children
+const studentScopeFor = (user) => {
+  if (user.role === 'school_admin') return { schoolId: user.schoolId || null }
+  if (user.role === 'teacher') return { schoolId: user.schoolId || null, classId: { $in: user.classIds || [] } }
+  if (user.role === 'parent') return { _id: { $in: user.studentIds || [] } }
+  return {}
+}
+
+// Middleware that sets req.studentScope (see studentScopeFor)
+export const scopeStudents = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' })
+    }
+
+    req.studentScope = studentScopeFor(req.user)
+    next()
+  } catch (error) {
+    res.status(500).json({ message: 'Access control failed', error: error.message })
+  }
+}
+
+// Middleware for tenant isolation on reporting routes (analytics, leaderboard, export). Pins the request to
+// the caller's school: req.tenantSchoolId is that school (null for super admins, who see every school) and
+// req.studentScope is set as by scopeStudents. A schoolId parameter naming another school is refused rather
+// than ignored, and leaving it out never widens the result beyond the caller's school.
+export const scopeTenant = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' })
+    }
+
+    const requested = [req.params.schoolId, req.query.schoolId, req.body?.schoolId].filter(Boolean).map(String)
+    if (requested.some(id => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: 'Invalid schoolId' })
+    }
+
+    if (req.user.role === 'super_admin') {
+      req.tenantSchoolId = null
+      req.studentScope = {}
+      return next()
+    }
+
+    if (!['school_admin', 'teacher'].includes(req.user.role) || !req.user.schoolId) {
+      return res.status(403).json({ 
+        message: 'User not associated with any school',
+        currentRole: req.user.role
+      })
+    }
+
+    if (requested.some(id => id !== req.user.schoolId.toString())) {
+      return res.status(403).json({ 
+        message: 'Access denied. You can only access your own school data.',
+        currentRole: req.user.role,
+        yourSchoolId: req.user.schoolId,
+        requestedSchoolId: requested.find(id => id !== req.user.schoolId.toString())
+      })
+    }
+
+    req.tenantSchoolId = req.user.schoolId
+    req.studentScope = studentScopeFor(req.user)
+    next()
+  } catch (error) {
+    res.status(500).json({ message: 'Access control failed', error: error.message })
+  }
+}
+
+// Middleware for the parent portal: only parent accounts, read-only
+export const requireParent = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' })
+    }
+
+    if (req.user.role !== 'parent') {
+      return res.status(403).json({ 
+        message: 'Access denied. Parent account required.',
+        requiredRole: 'parent',
+        currentRole: req.user.role
+      })
+    }
+
+    next()
+  } catch (error) {
+    res.status(500).json({ message: 'Role verification failed', error: error.message })
+  }
+}
@@ -0,0 +1,50 @@
+import School from '../models/School.js'
+
+// Flags that have endpoints to gate. hasRealTime and customBranding are stored for clients to read, but
+// there is no real-time or branding endpoint here to switch off.
+const FEATURE_LABELS = {
+  hasAnalytics: 'Analytics',
+  hasExport: 'Export'
+}
+
+// Middleware factory to block a route when the caller's school has the feature switched off.
+// Runs after protect; super admins are not tied to a school and are not restricted.
+export const requireSchoolFeature = (feature) => {
+  if (!FEATURE_LABELS[feature]) throw new Error(`requireSchoolFeature: ${feature} is not an enforced school feature`)
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' })
+      }
+
+      if (req.user.role === 'super_admin') return next()
+
+      if (!req.user.schoolId) {
+        return res.status(403).json({
+          message: 'School admin not associated with any school',
+          currentRole: req.user.role
+        })
+      }
+
+      const school = await School.findById(req.user.schoolId).select('name features status')
+      if (!school) {
+        return res.status(403).json({ message: 'Your school could not be found', code: 'SCHOOL_NOT_FOUND' })
+      }
+
+      if (school.features?.[feature] === false) {
+        return res.status(403).json({
+          message: `${FEATURE_LABELS[feature]} is not enabled for your school. Please contact your administrator.`,
+          code: 'SCHOOL_FEATURE_DISABLED',
+          feature,
+          schoolId: school._id
+        })
+      }
+
+      req.school = school
+      next()
+    } catch (error) {
+      res.status(500).json({ message: 'School feature check failed', error: error.message })
+    }
+  }
+}
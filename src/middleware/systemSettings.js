@@ -0,0 +1,68 @@
+import jwt from 'jsonwebtoken'
+import User from '../models/User.js'
+import { getSystemSettings, getMaintenanceState } from '../utils/systemSettings.js'
+
+// Paths that stay reachable during maintenance; login/refresh let super admins sign in to end it
+const MAINTENANCE_EXEMPT_PATHS = ['/health', '/api/health', '/api/auth/login', '/api/auth/refresh']
+
+// Retry-After used when the maintenance window has no scheduled end
+const DEFAULT_RETRY_AFTER_SECONDS = 600
+
+// Super admins keep full access during maintenance. Only runs while maintenance is active.
+const isSuperAdminRequest = async (req) => {
+  const header = req.headers.authorization
+  if (!header || !header.startsWith('Bearer')) return false
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET)
+    const user = await User.findById(decoded.id).select('role')
+    return user?.role === 'super_admin'
+  } catch (_) {
+    return false
+  }
+}
+
+// Middleware to reject requests while a maintenance window is active
+export const checkMaintenance = async (req, res, next) => {
+  try {
+    if (MAINTENANCE_EXEMPT_PATHS.some(p => req.originalUrl.startsWith(p))) return next()
+
+    const { maintenance } = await getSystemSettings()
+    const state = getMaintenanceState(maintenance)
+    if (!state.active) return next()
+
+    if (await isSuperAdminRequest(req)) return next()
+
+    const retryAfter = state.endTime
+      ? Math.max(1, Math.ceil((state.endTime.getTime() - Date.now()) / 1000))
+      : DEFAULT_RETRY_AFTER_SECONDS
+
+    res.set('Retry-After', String(retryAfter))
+    return res.status(503).json({
+      message: state.message,
+      code: 'MAINTENANCE_MODE',
+      endTime: state.endTime,
+      retryAfter
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Maintenance check failed', error: error.message })
+  }
+}
+
+// Middleware factory to block routes whose system-wide feature toggle is off
+export const requireFeature = (feature) => async (req, res, next) => {
+  try {
+    const { features } = await getSystemSettings()
+    if (features?.[feature] === false) {
+      return res.status(403).json({
+        message: `The ${feature} feature is currently disabled.`,
+        code: 'FEATURE_DISABLED',
+        feature
+      })
+    }
+
+    next()
+  } catch (error) {
+    res.status(500).json({ message: 'Feature check failed', error: error.message })
+  }
+}
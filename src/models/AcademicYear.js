@@ -0,0 +1,96 @@
+import mongoose from 'mongoose'
+import Class from './Class.js'
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a term name'],
+    trim: true,
+    maxlength: [50, 'Term name cannot be more than 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a term start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add a term end date']
+  }
+})
+
+const academicYearSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Please add a school ID']
+  },
+  // Same format as Class.academicYear, e.g. '2025-26'
+  name: {
+    type: String,
+    required: [true, 'Please add an academic year name'],
+    match: [/^\d{4}-\d{2}$/, 'Academic year must look like 2025-26']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date']
+  },
+  // Terms have to sit inside the year, in order, without overlapping
+  terms: {
+    type: [termSchema],
+    validate: {
+      validator: function(terms) {
+        terms.forEach((term, index) => {
+          if (term.endDate <= term.startDate) throw new Error(`${term.name} must end after it starts`)
+          if (term.startDate < this.startDate || term.endDate > this.endDate) throw new Error(`${term.name} must fall within the academic year`)
+          if (index > 0 && term.startDate < terms[index - 1].endDate) throw new Error(`${term.name} overlaps ${terms[index - 1].name}`)
+        })
+        return true
+      }
+    }
+  },
+  status: {
+    type: String,
+    enum: ['upcoming', 'active', 'closed'],
+    default: 'upcoming'
+  },
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+academicYearSchema.index({ schoolId: 1, name: 1 }, { unique: true })
+academicYearSchema.index({ schoolId: 1, status: 1 })
+
+academicYearSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date')
+  }
+  this.terms.sort((a, b) => a.startDate - b.startDate)
+  next()
+})
+
+// Name of the school's active year, falling back to the April-March calendar year
+academicYearSchema.statics.currentName = async function(schoolId, date = new Date()) {
+  const active = await this.findOne({ schoolId, status: 'active' }).select('name')
+  if (active) return active.name
+  return Class.currentAcademicYear(date)
+}
+
+// The term containing `date` and the one before it (which may belong to the previous year)
+academicYearSchema.statics.findTermWindow = async function(schoolId, date = new Date()) {
+  const years = await this.find({ schoolId, startDate: { $lte: date } }).sort({ startDate: -1 }).limit(2)
+  const terms = years.flatMap(year => year.terms).sort((a, b) => a.startDate - b.startDate)
+  const index = terms.findIndex(term => term.startDate <= date && date < term.endDate)
+  if (index === -1) return null
+  return { term: terms[index], previousTerm: terms[index - 1] || null }
+}
+
+export default mongoose.model('AcademicYear', academicYearSchema)
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose'
+
+export const ACHIEVEMENT_METRICS = ['xpPoints', 'accuracyPercentage', 'lessonsCompleted', 'timeSpentMinutes', 'streak', 'longestStreak', 'skillArea']
+export const ACHIEVEMENT_TIERS = ['bronze', 'silver', 'gold', 'diamond']
+export const ACHIEVEMENT_SKILLS = ['vocabulary', 'grammar', 'pronunciation', 'listening', 'speaking']
+
+const achievementRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Achievement name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Achievement name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  metric: {
+    type: String,
+    enum: ACHIEVEMENT_METRICS,
+    required: [true, 'Metric is required']
+  },
+  // Only used by skillArea rules
+  skill: {
+    type: String,
+    enum: ACHIEVEMENT_SKILLS,
+    required: [function() { return this.metric === 'skillArea' }, 'Skill is required for skill area achievements']
+  },
+  threshold: {
+    type: Number,
+    required: [true, 'Threshold is required'],
+    min: [0, 'Threshold cannot be negative']
+  },
+  tier: {
+    type: String,
+    enum: ACHIEVEMENT_TIERS,
+    default: 'bronze'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+})
+
+achievementRuleSchema.index({ isActive: 1 })
+
+// The badges that used to be hard-coded in the leaderboard
+achievementRuleSchema.statics.DEFAULT_RULES = [
+  { name: 'XP Expert', description: 'Reached 500+ XP points', metric: 'xpPoints', threshold: 500, tier: 'silver' },
+  { name: 'XP Master', description: 'Reached 1000+ XP points', metric: 'xpPoints', threshold: 1000, tier: 'gold' },
+  { name: 'High Achiever', description: 'Achieved 90%+ accuracy', metric: 'accuracyPercentage', threshold: 90, tier: 'gold' },
+  { name: 'Perfect Accuracy', description: 'Achieved 95%+ accuracy', metric: 'accuracyPercentage', threshold: 95, tier: 'diamond' },
+  { name: 'Dedicated Learner', description: 'Completed 50+ lessons', metric: 'lessonsCompleted', threshold: 50, tier: 'silver' },
+  { name: 'Lesson Master', description: 'Completed 100+ lessons', metric: 'lessonsCompleted', threshold: 100, tier: 'gold' },
+  { name: 'Time Master', description: 'Spent 10,000+ minutes learning', metric: 'timeSpentMinutes', threshold: 10000, tier: 'gold' }
+]
+
+// Insert any default rule that does not exist yet (matched by name)
+achievementRuleSchema.statics.seedDefaults = async function() {
+  const result = await this.bulkWrite(this.DEFAULT_RULES.map(rule => ({
+    updateOne: {
+      filter: { name: rule.name },
+      update: { $setOnInsert: rule },
+      upsert: true
+    }
+  })))
+  return result.upsertedCount
+}
+
+export default mongoose.model('AchievementRule', achievementRuleSchema)
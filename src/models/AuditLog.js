@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+
+const changeSchema = new mongoose.Schema({
+  path: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false })
+
+// One administrative change. Entries are append-only: they are written by utils/audit.js and never
+// updated or removed through the model.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: String,
+  actorEmail: String,
+  role: String,
+  ip: String,
+  method: String,
+  // Route pattern, e.g. /api/students/:id, and the concrete path that was called
+  route: String,
+  path: String,
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore', 'bulk_update', 'bulk_delete'],
+    required: true
+  },
+  targetCollection: {
+    type: String,
+    required: true
+  },
+  targetId: String,
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ actor: 1, createdAt: -1 })
+auditLogSchema.index({ targetCollection: 1, targetId: 1, createdAt: -1 })
+
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or removed'))
+}
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next)
+  next()
+})
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuseChange)
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, refuseChange)
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange)
+
+export default mongoose.model('AuditLog', auditLogSchema)
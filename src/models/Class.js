@@ -0,0 +1,140 @@
+import mongoose from 'mongoose'
+
+// Academic years run April to March, e.g. '2025-26'
+const ACADEMIC_YEAR_PATTERN = /^\d{4}-\d{2}$/
+
+const classSchema = new mongoose.Schema({
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Please add a school ID']
+  },
+  grade: {
+    type: Number,
+    required: [true, 'Please add a grade'],
+    min: [1, 'Grade must be at least 1'],
+    max: [12, 'Grade cannot exceed 12']
+  },
+  section: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: '',
+    maxlength: [10, 'Section cannot be more than 10 characters']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Please add an academic year'],
+    match: [ACADEMIC_YEAR_PATTERN, 'Academic year must look like 2025-26']
+  },
+  // Display label copied onto Student.class, e.g. 'Class 8A'
+  name: {
+    type: String,
+    trim: true
+  },
+  classTeacher: {
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please add a valid email']
+    },
+    phone: String
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+})
+
+classSchema.index({ schoolId: 1, academicYear: 1, grade: 1, section: 1 }, { unique: true })
+
+classSchema.statics.formatName = function(grade, section = '') {
+  return `Class ${grade}${section || ''}`
+}
+
+classSchema.statics.currentAcademicYear = function(date = new Date()) {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`
+}
+
+// Read grade and section out of free-text labels like 'Class 8', 'class 8A', 'Grade 8 - B' or '8/c'
+classSchema.statics.parseLabel = function(label) {
+  const match = String(label || '')
+    .trim()
+    .replace(/^(class|grade|std\.?|standard)\s*/i, '')
+    .match(/^(\d{1,2})\s*[-/ ]?\s*([a-z])?$/i)
+  if (!match) return null
+
+  const grade = parseInt(match[1])
+  if (grade < 1 || grade > 12) return null
+  return { grade, section: (match[2] || '').toUpperCase() }
+}
+
+classSchema.pre('save', function(next) {
+  this.name = this.constructor.formatName(this.grade, this.section)
+  next()
+})
+
+// Keep the Student.class label of every enrolled student in step with this class
+classSchema.methods.syncStudentLabels = function() {
+  const Student = mongoose.model('Student')
+  return Student.updateMany({ classId: this._id }, { $set: { class: this.name } })
+}
+
+classSchema.methods.getStats = async function() {
+  const Student = mongoose.model('Student')
+  const [stats] = await Student.aggregate([
+    { $match: { classId: this._id } },
+    {
+      $group: {
+        _id: null,
+        totalStudents: { $sum: 1 },
+        activeStudents: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+        averageAccuracy: { $avg: '$performance.accuracyPercentage' },
+        averageXp: { $avg: '$performance.xpPoints' },
+        totalLessons: { $sum: '$performance.lessonsCompleted' },
+        totalTimeSpent: { $sum: '$performance.timeSpentMinutes' },
+        averageStreak: { $avg: '$performance.streak' },
+        male: { $sum: { $cond: [{ $eq: ['$profile.gender', 'male'] }, 1, 0] } },
+        female: { $sum: { $cond: [{ $eq: ['$profile.gender', 'female'] }, 1, 0] } },
+        vocabulary: { $avg: '$performance.skillAreas.vocabulary' },
+        grammar: { $avg: '$performance.skillAreas.grammar' },
+        pronunciation: { $avg: '$performance.skillAreas.pronunciation' },
+        listening: { $avg: '$performance.skillAreas.listening' },
+        speaking: { $avg: '$performance.skillAreas.speaking' }
+      }
+    }
+  ])
+
+  const round = value => Math.round((value || 0) * 100) / 100
+  return {
+    totalStudents: stats?.totalStudents || 0,
+    activeStudents: stats?.activeStudents || 0,
+    averageAccuracy: round(stats?.averageAccuracy),
+    averageXp: round(stats?.averageXp),
+    totalLessons: stats?.totalLessons || 0,
+    totalTimeSpent: stats?.totalTimeSpent || 0,
+    averageStreak: round(stats?.averageStreak),
+    genderDistribution: { male: stats?.male || 0, female: stats?.female || 0 },
+    skillAverages: {
+      vocabulary: round(stats?.vocabulary),
+      grammar: round(stats?.grammar),
+      pronunciation: round(stats?.pronunciation),
+      listening: round(stats?.listening),
+      speaking: round(stats?.speaking)
+    }
+  }
+}
+
+export default mongoose.model('Class', classSchema)
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose'
+
+const learningActivitySchema = new mongoose.Schema({
+  // Supplied by the learning app; a retried submission with the same key is not counted twice
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Please add an idempotency key'],
+    trim: true,
+    maxlength: [200, 'Idempotency key cannot be more than 200 characters']
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student ID']
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Please add a school ID']
+  },
+  lessonId: {
+    type: String,
+    trim: true
+  },
+  skill: {
+    type: String,
+    enum: ['vocabulary', 'grammar', 'pronunciation', 'listening', 'speaking'],
+    required: [true, 'Please add a skill']
+  },
+  score: {
+    type: Number,
+    min: [0, 'Score cannot be negative'],
+    max: [100, 'Score cannot exceed 100'],
+    required: [true, 'Please add a score']
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: 0
+  },
+  xpEarned: {
+    type: Number,
+    min: [0, 'XP earned cannot be negative'],
+    default: 0
+  },
+  completedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+})
+
+learningActivitySchema.index({ idempotencyKey: 1 }, { unique: true })
+learningActivitySchema.index({ studentId: 1, completedAt: -1 })
+learningActivitySchema.index({ studentId: 1, skill: 1, completedAt: -1 })
+learningActivitySchema.index({ schoolId: 1, completedAt: -1 })
+
+export default mongoose.model('LearningActivity', learningActivitySchema)
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose'
+
+// An IP can be shared by a whole school network, so it gets more room than a single account
+const IP_ATTEMPT_MULTIPLIER = 4
+
+const loginAttemptSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: Date,
+  lockedUntil: Date,
+  // Sliding window: each failure pushes this out; MongoDB drops the counter once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+loginAttemptSchema.index({ type: 1, value: 1 }, { unique: true })
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+loginAttemptSchema.index({ lockedUntil: 1 })
+
+// Build the counters a login request is tracked under
+loginAttemptSchema.statics.keysFor = function(email, ip) {
+  const keys = [{ type: 'email', value: String(email || '').trim().toLowerCase() }]
+  if (ip) keys.push({ type: 'ip', value: ip })
+  return keys
+}
+
+// Find a lock that is still in force for any of the keys
+loginAttemptSchema.statics.findActiveLock = async function(keys) {
+  return this.findOne({ $or: keys, lockedUntil: { $gt: new Date() } }).sort({ lockedUntil: -1 })
+}
+
+// Count a failed login against every key; returns the lock if one was triggered
+loginAttemptSchema.statics.registerFailure = async function(keys, { maxLoginAttempts, lockoutDuration }) {
+  const now = new Date()
+  const windowMs = lockoutDuration * 1000
+  let lock = null
+
+  for (const key of keys) {
+    // The TTL monitor runs about once a minute, so clear a stale counter ourselves
+    await this.deleteOne({ ...key, expiresAt: { $lte: now } })
+
+    const attempt = await this.findOneAndUpdate(
+      key,
+      { $inc: { count: 1 }, $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+
+    const maxAttempts = key.type === 'ip' ? maxLoginAttempts * IP_ATTEMPT_MULTIPLIER : maxLoginAttempts
+    if (attempt.count >= maxAttempts && !(attempt.lockedUntil > now)) {
+      attempt.lockedUntil = new Date(now.getTime() + windowMs)
+      attempt.expiresAt = attempt.lockedUntil
+      await attempt.save()
+      lock = lock || attempt
+    }
+  }
+
+  return lock
+}
+
+// Forget the account's failed attempts after a successful login from `ip`, and take them off that IP's
+// counter too, so one user's typos do not keep adding up against a shared school network. Failures for
+// other accounts stay on the IP, so guessing from it cannot be reset by logging in to an account of one's own.
+loginAttemptSchema.statics.clearFailures = async function(email, ip) {
+  const cleared = await this.findOneAndDelete({ type: 'email', value: String(email || '').trim().toLowerCase() })
+  if (ip && cleared?.count > 0) {
+    await this.updateOne(
+      { type: 'ip', value: ip },
+      [{ $set: { count: { $max: [{ $subtract: ['$count', cleared.count] }, 0] } } }]
+    )
+  }
+  return cleared
+}
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema)
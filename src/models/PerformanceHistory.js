@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+
+const skillValuesSchema = new mongoose.Schema({
+  vocabulary: Number,
+  grammar: Number,
+  pronunciation: Number,
+  listening: Number,
+  speaking: Number
+}, { _id: false })
+
+const performanceValuesSchema = new mongoose.Schema({
+  accuracyPercentage: Number,
+  lessonsCompleted: Number,
+  timeSpentMinutes: Number,
+  xpPoints: Number,
+  streak: Number,
+  longestStreak: Number,
+  skillAreas: skillValuesSchema
+}, { _id: false })
+
+// One entry per performance update: the values after the update and the change it made
+const performanceHistorySchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student ID']
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Please add a school ID']
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'activity', 'import', 'system'],
+    default: 'manual'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  performance: performanceValuesSchema,
+  changes: performanceValuesSchema
+}, {
+  timestamps: false
+})
+
+performanceHistorySchema.index({ studentId: 1, recordedAt: -1 })
+performanceHistorySchema.index({ schoolId: 1, recordedAt: -1 })
+
+export default mongoose.model('PerformanceHistory', performanceHistorySchema)
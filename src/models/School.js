@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { softDeletePlugin } from '../utils/softDelete.js'
 
 const adminContactSchema = new mongoose.Schema({
   name: {
@@ -90,6 +91,8 @@ const schoolSchema = new mongoose.Schema({
   timestamps: true
 })
 
+schoolSchema.plugin(softDeletePlugin)
+
 // Index for better query performance
 schoolSchema.index({ name: 1 })
 schoolSchema.index({ board: 1 })
@@ -114,6 +117,17 @@ schoolSchema.methods.updateStudentCount = async function() {
   return this.save()
 }
 
+// Recount totalStudents for each of `schoolIds`, deleted schools included. Student middleware calls this
+// after every write that can add, remove or move students, so the stored count never drifts.
+schoolSchema.statics.refreshStudentCounts = async function(schoolIds) {
+  const Student = mongoose.model('Student')
+  const ids = [...new Set(schoolIds.filter(id => id && mongoose.isValidObjectId(id)).map(String))]
+  await Promise.all(ids.map(async id => {
+    const count = await Student.countDocuments({ schoolId: id })
+    await this.updateOne({ _id: id }, { $set: { totalStudents: count } }).setOptions({ withDeleted: true })
+  }))
+}
+
 // Method to get school performance
 schoolSchema.methods.getPerformance = async function() {
   const Student = mongoose.model('Student')
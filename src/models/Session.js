@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+
+// One signed-in device. The session is the refresh token family: every refresh rotates `tokenId`, and a
+// refresh token carrying an older id means it was copied, so the whole family is revoked.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // jti of the only refresh token of this family that may still be used
+  tokenId: {
+    type: String,
+    required: true
+  },
+  rotations: {
+    type: Number,
+    default: 0
+  },
+  // Where the session was signed in from; ip follows the latest refresh
+  device: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_reset', 'password_change', 'admin']
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Pushed out on every refresh; MongoDB drops the session once it passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+})
+
+sessionSchema.index({ userId: 1, revokedAt: 1 })
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+sessionSchema.statics.newTokenId = function() {
+  return crypto.randomBytes(16).toString('hex')
+}
+
+// Revoke every open session matching `filter`; returns how many were revoked
+sessionSchema.statics.revokeWhere = async function(filter, reason, revokedBy) {
+  const result = await this.updateMany({ ...filter, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } })
+  return result.modifiedCount
+}
+
+// Short label such as 'Chrome on Windows' from a User-Agent header
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browser = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]]
+    .find(([, pattern]) => pattern.test(userAgent))?.[0]
+  const os = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]]
+    .find(([, pattern]) => pattern.test(userAgent))?.[0]
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'API client'
+  return [browser || 'Browser', os].filter(Boolean).join(' on ')
+}
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date()
+})
+
+export default mongoose.model('Session', sessionSchema)
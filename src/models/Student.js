@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { softDeletePlugin } from '../utils/softDelete.js'
 
 const skillAreasSchema = new mongoose.Schema({
   vocabulary: {
@@ -33,6 +34,8 @@ const skillAreasSchema = new mongoose.Schema({
   }
 })
 
+const SKILL_AREAS = Object.keys(skillAreasSchema.obj)
+
 const assessmentsSchema = new mongoose.Schema({
   classTests: { type: Number, min: 0, max: 100, default: 0 },
   assignments: { type: Number, min: 0, max: 100, default: 0 },
@@ -81,9 +84,22 @@ const performanceSchema = new mongoose.Schema({
     min: [0, 'Streak cannot be negative'],
     default: 0
   },
+  longestStreak: {
+    type: Number,
+    min: [0, 'Longest streak cannot be negative'],
+    default: 0
+  },
   achievements: [{
+    ruleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AchievementRule'
+    },
     name: String,
     description: String,
+    tier: {
+      type: String,
+      enum: ['bronze', 'silver', 'gold', 'diamond']
+    },
     earnedAt: {
       type: Date,
       default: Date.now
@@ -102,11 +118,16 @@ const studentSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Display label; kept in step with classId when the student is assigned to a Class
   class: {
     type: String,
     required: [true, 'Please add a class'],
     trim: true
   },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
   schoolId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'School',
@@ -122,7 +143,7 @@ const studentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended'],
+    enum: ['active', 'inactive', 'suspended', 'graduated'],
     default: 'active'
   },
   // Simple contact fields to align with current UI
@@ -180,14 +201,84 @@ const studentSchema = new mongoose.Schema({
       ]
     },
     parentPhone: String
+  },
+  // Set when the student went to the trash with their school, so restoring the school brings them back
+  deletedWithSchool: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 })
 
+studentSchema.plugin(softDeletePlugin)
+
+// School.totalStudents follows the students collection: any write that can add, remove or move a student
+// recounts the schools on both sides of it
+const COUNTED_FIELDS = ['schoolId', 'deletedAt']
+const COUNTED_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+
+const refreshSchoolCounts = (schoolIds) => mongoose.model('School').refreshStudentCounts(schoolIds)
+
+// Whether an update (plain fields, operators or a pipeline) can change which school a student counts for
+const changesSchoolCounts = (update) => {
+  if (!update) return false
+  if (Array.isArray(update)) return true
+  return Object.entries(update).some(([key, value]) => key.startsWith('$')
+    ? Object.keys(value || {}).some(path => COUNTED_FIELDS.includes(path.split('.')[0]))
+    : COUNTED_FIELDS.includes(key))
+}
+
+studentSchema.post('init', function() {
+  this.$locals.loadedSchoolId = this.schoolId
+})
+
+studentSchema.pre('save', function() {
+  this.$locals.countsChanged = this.isNew || COUNTED_FIELDS.some(field => this.isModified(field))
+})
+
+studentSchema.post('save', async function() {
+  if (!this.$locals.countsChanged) return
+  await refreshSchoolCounts([this.$locals.loadedSchoolId, this.schoolId])
+  this.$locals.loadedSchoolId = this.schoolId
+})
+
+studentSchema.post('insertMany', async function(docs) {
+  await refreshSchoolCounts(docs.map(doc => doc.schoolId))
+})
+
+studentSchema.post('deleteOne', { document: true, query: false }, async function() {
+  await refreshSchoolCounts([this.schoolId])
+})
+
+// Where students are headed is not always in the update (pipelines, upserts, $setOnInsert, replacements),
+// so the schools are recounted from the students themselves: the ones matched before the write, read
+// again after it, plus whatever an upsert inserted
+studentSchema.pre(COUNTED_QUERIES, { document: false, query: true }, async function() {
+  if (!/delete|replace/i.test(this.op) && !this.getOptions().upsert && !changesSchoolCounts(this.getUpdate())) return
+  const matched = await this.model.find(this.getFilter()).setOptions({ withDeleted: true }).select('schoolId').lean()
+  this._countedStudents = matched
+})
+
+studentSchema.post(COUNTED_QUERIES, { document: false, query: true }, async function(result) {
+  if (!this._countedStudents) return
+  const ids = this._countedStudents.map(student => student._id)
+  const upsertedId = result?.upsertedId ?? result?.lastErrorObject?.upserted
+  if (upsertedId) ids.push(upsertedId)
+
+  const withDeleted = { withDeleted: true }
+  const [moved, upserted] = await Promise.all([
+    this.model.find({ _id: { $in: ids } }).setOptions(withDeleted).distinct('schoolId'),
+    // findOneAndUpdate does not report what it upserted unless it returns the new document
+    this.getOptions().upsert ? this.model.find(this.getFilter()).setOptions(withDeleted).distinct('schoolId') : []
+  ])
+  await refreshSchoolCounts([...this._countedStudents.map(student => student.schoolId), ...moved, ...upserted])
+})
+
 // Index for better query performance
 studentSchema.index({ schoolId: 1 })
 studentSchema.index({ class: 1 })
+studentSchema.index({ classId: 1 })
 studentSchema.index({ name: 1 })
 studentSchema.index({ rollNumber: 1 })
 studentSchema.index({ 'performance.accuracyPercentage': -1 })
@@ -227,19 +318,26 @@ studentSchema.methods.addAchievement = function(achievement) {
 // Method to update streak
 studentSchema.methods.updateStreak = function(increment = 1) {
   this.performance.streak = (this.performance.streak || 0) + increment
+  this.performance.longestStreak = Math.max(this.performance.longestStreak || 0, this.performance.streak)
   return this.save()
 }
 
-// Method to reset streak
+// Method to reset streak (keeps the longest streak reached)
 studentSchema.methods.resetStreak = function() {
+  this.performance.longestStreak = Math.max(this.performance.longestStreak || 0, this.performance.streak || 0)
   this.performance.streak = 0
+  // Version-checked like activity batches, so a lesson recorded meanwhile is not wiped out
+  this.increment()
   return this.save()
 }
 
 // Method to calculate overall performance score
 studentSchema.methods.getOverallScore = function() {
-  const skillScores = Object.values(this.performance.skillAreas || {})
-  if (skillScores.length === 0) return 0
+  const skillAreas = this.performance?.skillAreas
+  if (!skillAreas) return 0
+
+  // Read the declared skills; Object.values on a subdocument would include mongoose internals
+  const skillScores = SKILL_AREAS.map(skill => skillAreas[skill] || 0)
   
   return Math.round(skillScores.reduce((sum, score) => sum + score, 0) / skillScores.length)
 }
@@ -255,8 +353,8 @@ studentSchema.statics.getTopPerformers = async function(limit = 10, schoolId = n
 }
 
 // Static method to get class leaderboard
-studentSchema.statics.getClassLeaderboard = async function(classId, schoolId) {
-  return this.find({ class: classId, schoolId })
+studentSchema.statics.getClassLeaderboard = async function(classId) {
+  return this.find({ classId })
     .sort({ 'performance.xpPoints': -1 })
     .populate('schoolId', 'name')
 }
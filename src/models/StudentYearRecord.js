@@ -0,0 +1,80 @@
+import mongoose from 'mongoose'
+
+const skillValuesSchema = new mongoose.Schema({
+  vocabulary: Number,
+  grammar: Number,
+  pronunciation: Number,
+  listening: Number,
+  speaking: Number
+}, { _id: false })
+
+const performanceValuesSchema = new mongoose.Schema({
+  accuracyPercentage: Number,
+  lessonsCompleted: Number,
+  timeSpentMinutes: Number,
+  xpPoints: Number,
+  streak: Number,
+  longestStreak: Number,
+  skillAreas: skillValuesSchema
+}, { _id: false })
+
+const assessmentValuesSchema = new mongoose.Schema({
+  classTests: Number,
+  assignments: Number,
+  attendance: Number,
+  midTerm: Number,
+  finals: Number,
+  discipline: String
+}, { _id: false })
+
+// A student's final standing for one academic year, written at rollover and never changed afterwards
+const studentYearRecordSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Please add a student ID']
+  },
+  schoolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Please add a school ID']
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Please add an academic year']
+  },
+  classId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  },
+  class: String,
+  grade: Number,
+  section: String,
+  rollNumber: String,
+  performance: performanceValuesSchema,
+  assessments: assessmentValuesSchema,
+  achievementsEarned: {
+    type: Number,
+    default: 0
+  },
+  outcome: {
+    type: String,
+    enum: ['promoted', 'held_back', 'graduated'],
+    required: true
+  },
+  archivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: false
+})
+
+studentYearRecordSchema.index({ studentId: 1, academicYear: 1 }, { unique: true })
+studentYearRecordSchema.index({ schoolId: 1, academicYear: 1, classId: 1 })
+
+export default mongoose.model('StudentYearRecord', studentYearRecordSchema)
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose'
+
+const systemSettingsSchema = new mongoose.Schema({
+  // Single global document; the key keeps upserts idempotent
+  key: {
+    type: String,
+    default: 'global',
+    unique: true,
+    immutable: true
+  },
+  maintenance: {
+    enabled: { type: Boolean, default: false },
+    message: { type: String, default: '', maxlength: [500, 'Maintenance message cannot be more than 500 characters'] },
+    startTime: { type: Date, default: null },
+    endTime: { type: Date, default: null }
+  },
+  features: {
+    analytics: { type: Boolean, default: true },
+    export: { type: Boolean, default: true },
+    realTime: { type: Boolean, default: true },
+    notifications: { type: Boolean, default: true },
+    leaderboard: { type: Boolean, default: true },
+    achievements: { type: Boolean, default: true }
+  },
+  security: {
+    passwordPolicy: {
+      minLength: { type: Number, min: 6, max: 20, default: 8 },
+      requireUppercase: { type: Boolean, default: true },
+      requireLowercase: { type: Boolean, default: true },
+      requireNumbers: { type: Boolean, default: true },
+      requireSpecialChars: { type: Boolean, default: false }
+    },
+    sessionTimeout: { type: Number, min: 300, max: 86400, default: 3600 },
+    maxLoginAttempts: { type: Number, min: 3, max: 10, default: 5 },
+    lockoutDuration: { type: Number, min: 300, max: 3600, default: 900 }
+  },
+  limits: {
+    maxStudentsPerSchool: { type: Number, min: 100, max: 100000, default: 10000 },
+    maxSchoolsPerAccount: { type: Number, min: 1, max: 1000, default: 100 },
+    maxFileSize: { type: Number, default: 10485760 }, // 10MB
+    maxStoragePerSchool: { type: Number, default: 1073741824 } // 1GB
+  },
+  integrations: {
+    email: {
+      provider: { type: String, default: 'smtp' },
+      enabled: { type: Boolean, default: true },
+      config: { type: mongoose.Schema.Types.Mixed, default: {} }
+    },
+    sms: {
+      provider: { type: String, default: 'twilio' },
+      enabled: { type: Boolean, default: false },
+      config: { type: mongoose.Schema.Types.Mixed, default: {} }
+    }
+  },
+  // One-time data migrations that ran against this database (see ensureDefaultAchievements); not editable
+  migrations: {
+    achievementDefaults: { type: Date, default: null }
+  },
+  // Incremented on every update; history entries reference it
+  version: {
+    type: Number,
+    default: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  minimize: false
+})
+
+// Get the global settings document, creating it with defaults on first use
+systemSettingsSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+}
+
+// Resolve a dot-path to a schema leaf (including Mixed subtrees), or null if unknown
+systemSettingsSchema.statics.getSettingPath = function(pathName) {
+  if (['key', 'version', 'updatedBy', '_id', 'createdAt', 'updatedAt', 'migrations'].includes(pathName) || pathName.startsWith('migrations.')) return null
+  return this.schema.path(pathName) || null
+}
+
+export default mongoose.model('SystemSettings', systemSettingsSchema)
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose'
+
+const settingChangeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false })
+
+const systemSettingsHistorySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: [true, 'Please add the settings version']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add the user who made the change']
+  },
+  changedByEmail: String,
+  changes: [settingChangeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+})
+
+systemSettingsHistorySchema.index({ version: -1 })
+systemSettingsHistorySchema.index({ changedBy: 1, createdAt: -1 })
+
+export default mongoose.model('SystemSettingsHistory', systemSettingsHistorySchema)
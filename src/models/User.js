@@ -27,19 +27,40 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['super_admin', 'school_admin'],
+    enum: ['super_admin', 'school_admin', 'teacher', 'parent'],
     default: 'school_admin'
   },
   schoolId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'School',
-    // Optional at registration; set during onboarding
-    required: false
+    // Optional at registration for admins; set during onboarding. Teachers always belong to a school.
+    required: [function() { return this.role === 'teacher' }, 'Teachers must belong to a school']
   },
+  // Classes a teacher is responsible for; they only see and grade these students
+  classIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class'
+  }],
+  // Children a parent account can see, read-only
+  studentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
   isActive: {
     type: Boolean,
     default: true
   },
+  // Last time the account was deactivated; tokens issued before it stay invalid after reactivation
+  deactivatedAt: Date,
+  // Set when the account was deactivated because its school went to the trash, so restoring the school
+  // reactivates it
+  deactivatedWithSchool: {
+    type: Boolean,
+    default: false
+  },
+  // Last time an admin signed the user out of every device; tokens issued before it stay invalid, including
+  // access tokens from before sessions, which carry no session to revoke
+  sessionsRevokedAt: Date,
   lastLogin: {
     type: Date,
     default: Date.now
@@ -47,7 +68,16 @@ const userSchema = new mongoose.Schema({
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
-  refreshToken: String
+  // Pending parent invitation: hash of the emailed token, cleared once accepted
+  inviteToken: String,
+  inviteExpires: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Preferences from /api/settings (notifications, dashboard, privacy, ...)
+  settings: mongoose.Schema.Types.Mixed,
+  settingsUpdatedAt: Date
 }, {
   timestamps: true
 })
@@ -55,28 +85,28 @@ const userSchema = new mongoose.Schema({
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12)
   this.password = await bcrypt.hash(this.password, salt)
 })
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
+// Sign JWT and return; `sid` ties the access token to its session
+userSchema.methods.getSignedJwtToken = function(session) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, ...(session ? { sid: session._id } : {}) },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
   )
 }
 
-// Generate refresh token
-userSchema.methods.getRefreshToken = function() {
+// Generate the refresh token of a session; its jti has to match session.tokenId to be redeemed
+userSchema.methods.getRefreshToken = function(session) {
   return jwt.sign(
-    { id: this._id },
+    { id: this._id, sid: session._id },
     process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d', jwtid: session.tokenId }
   )
 }
 
@@ -100,6 +130,18 @@ userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
   return false
 }
 
+// Check if the account was deactivated after token was issued
+userSchema.methods.deactivatedAfter = function(JWTTimestamp) {
+  if (!this.deactivatedAt) return false
+  return JWTTimestamp < parseInt(this.deactivatedAt.getTime() / 1000, 10)
+}
+
+// Check if an admin signed the user out everywhere after token was issued
+userSchema.methods.signedOutAfter = function(JWTTimestamp) {
+  if (!this.sessionsRevokedAt) return false
+  return JWTTimestamp < parseInt(this.sessionsRevokedAt.getTime() / 1000, 10)
+}
+
 // Create password reset token
 userSchema.methods.createPasswordResetToken = function() {
   const resetToken = crypto.randomBytes(32).toString('hex')
@@ -143,7 +185,7 @@ userSchema.set('toJSON', {
     delete ret.password
     delete ret.passwordResetToken
     delete ret.passwordResetExpires
-    delete ret.refreshToken
+    delete ret.inviteToken
     return ret
   }
 })
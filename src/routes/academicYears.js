@@ -0,0 +1,208 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import AcademicYear from '../models/AcademicYear.js'
+import School from '../models/School.js'
+import StudentYearRecord from '../models/StudentYearRecord.js'
+import { protect } from '../middleware/auth.js'
+import { canPerformCRUD, canViewData, canAccessSchool } from '../middleware/roleAuth.js'
+import { body, validationResult } from 'express-validator'
+import { rolloverAcademicYear } from '../utils/academicYears.js'
+import { recordAudit } from '../utils/audit.js'
+
+const router = express.Router()
+
+const YEAR_FIELDS = ['name', 'startDate', 'endDate', 'terms']
+
+const yearValidators = (prefix, optional) => {
+  const field = (name) => optional ? body(`${prefix}${name}`).optional() : body(`${prefix}${name}`)
+  return [
+    field('name').matches(/^\d{4}-\d{2}$/).withMessage('Academic year must look like 2025-26'),
+    field('startDate').isISO8601().withMessage('Valid start date is required').toDate(),
+    field('endDate').isISO8601().withMessage('Valid end date is required').toDate(),
+    body(`${prefix}terms`).optional().isArray().withMessage('terms must be an array'),
+    body(`${prefix}terms.*.name`).notEmpty().withMessage('Each term needs a name'),
+    body(`${prefix}terms.*.startDate`).isISO8601().withMessage('Each term needs a valid start date').toDate(),
+    body(`${prefix}terms.*.endDate`).isISO8601().withMessage('Each term needs a valid end date').toDate()
+  ]
+}
+
+const pickYearFields = (source = {}) => Object.fromEntries(YEAR_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]]))
+
+const sendYearError = (res, error) => {
+  if (error.code === 11000) return res.status(400).json({ message: 'This academic year already exists for the school' })
+  if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+  res.status(500).json({ message: 'Server error', error: error.message })
+}
+
+// School admins only see their own school's years
+const loadYear = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid academic year ID' })
+    return null
+  }
+  const year = await AcademicYear.findById(req.params.id)
+  if (!year || (req.user.role !== 'super_admin' && !year.schoolId.equals(req.user.schoolId))) {
+    res.status(404).json({ message: 'Academic year not found' })
+    return null
+  }
+  return year
+}
+
+// Get academic years of a school
+router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
+  try {
+    const { schoolId = '', status = '' } = req.query
+
+    let query = {}
+    if (req.user.role !== 'super_admin') query.schoolId = req.user.schoolId
+    else if (schoolId) query.schoolId = schoolId
+    if (status) query.status = status
+
+    const years = await AcademicYear.find(query)
+      .populate('schoolId', 'name')
+      .sort({ startDate: -1 })
+
+    res.json({ academicYears: years, total: years.length, filters: { schoolId, status } })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get the current academic year and term of a school
+router.get('/current', protect, canViewData, canAccessSchool, async (req, res) => {
+  try {
+    const schoolId = req.user.role !== 'super_admin' ? req.user.schoolId : req.query.schoolId
+    if (!mongoose.isValidObjectId(schoolId)) return res.status(400).json({ message: 'Valid schoolId is required' })
+
+    const [year, window] = await Promise.all([
+      AcademicYear.findOne({ schoolId, status: 'active' }),
+      AcademicYear.findTermWindow(schoolId)
+    ])
+
+    res.json({ academicYear: year, currentTerm: window?.term || null, previousTerm: window?.previousTerm || null })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get the archived year-end records of an academic year
+router.get('/:id/records', protect, canViewData, async (req, res) => {
+  try {
+    const year = await loadYear(req, res)
+    if (!year) return
+
+    const { classId = '', outcome = '' } = req.query
+    let query = { schoolId: year.schoolId, academicYear: year.name }
+    if (classId) {
+      if (!mongoose.isValidObjectId(classId)) return res.status(400).json({ message: 'Invalid classId' })
+      query.classId = classId
+    }
+    if (outcome) query.outcome = outcome
+
+    // Teachers only see the records of the classes they teach
+    if (req.user.role === 'teacher') query = { $and: [query, { classId: { $in: req.user.classIds || [] } }] }
+
+    const records = await StudentYearRecord.find(query)
+      .populate('studentId', 'name rollNumber')
+      .sort({ grade: 1, section: 1, rollNumber: 1 })
+
+    res.json({ academicYear: year.name, records, total: records.length, filters: { classId, outcome } })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Create academic year - Super admin only; the first year of a school becomes active
+router.post('/', [
+  protect,
+  canPerformCRUD,
+  body('schoolId').isMongoId().withMessage('Valid school ID is required'),
+  ...yearValidators('', false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const school = await School.findById(req.body.schoolId)
+    if (!school) return res.status(400).json({ message: 'School not found' })
+
+    const hasActive = await AcademicYear.exists({ schoolId: school._id, status: 'active' })
+    const year = await AcademicYear.create({
+      ...pickYearFields(req.body),
+      schoolId: school._id,
+      status: hasActive ? 'upcoming' : 'active'
+    })
+    await recordAudit(req, { action: 'create', targetCollection: 'academicyears', targetId: year._id, after: year })
+
+    res.status(201).json(year)
+  } catch (error) {
+    sendYearError(res, error)
+  }
+})
+
+// Update academic year dates and terms - Super admin only; closed years are frozen
+router.put('/:id', [protect, canPerformCRUD, ...yearValidators('', true)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const year = await loadYear(req, res)
+    if (!year) return
+    if (year.status === 'closed') return res.status(400).json({ message: 'A closed academic year cannot be changed' })
+    if (req.body.name && req.body.name !== year.name) return res.status(400).json({ message: 'An academic year cannot be renamed; classes refer to it by name' })
+
+    const before = year.toObject()
+    year.set(pickYearFields(req.body))
+    await year.save()
+    await recordAudit(req, { action: 'update', targetCollection: 'academicyears', targetId: year._id, before, after: year })
+
+    res.json(year)
+  } catch (error) {
+    sendYearError(res, error)
+  }
+})
+
+// Close the year and promote its students into the next one - Super admin only
+router.post('/:id/rollover', [
+  protect,
+  canPerformCRUD,
+  body('nextYear.name').matches(/^\d{4}-\d{2}$/).withMessage('nextYear.name must look like 2025-26'),
+  ...yearValidators('nextYear.', true),
+  body('holdBacks').optional().isArray().withMessage('holdBacks must be an array of student IDs'),
+  body('holdBacks.*').isMongoId().withMessage('Each hold-back must be a valid student ID'),
+  body('dryRun').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const year = await loadYear(req, res)
+    if (!year) return
+    if (year.status === 'closed') return res.status(400).json({ message: 'This academic year has already been rolled over' })
+
+    const { nextYear: nextYearBody, holdBacks = [], dryRun = false } = req.body
+    if (nextYearBody.name === year.name) return res.status(400).json({ message: 'The next academic year must differ from the current one' })
+
+    const auditEntries = []
+    let nextYear = await AcademicYear.findOne({ schoolId: year.schoolId, name: nextYearBody.name })
+    if (nextYear?.status === 'closed') return res.status(400).json({ message: 'The next academic year is already closed' })
+    if (!nextYear) {
+      nextYear = new AcademicYear({ ...pickYearFields(nextYearBody), schoolId: year.schoolId, status: 'upcoming' })
+      await nextYear.validate()
+      if (!dryRun) {
+        await nextYear.save()
+        auditEntries.push({ action: 'create', targetCollection: 'academicyears', targetId: nextYear._id, after: nextYear })
+      }
+    }
+
+    // Recorded even when the rollover stops part way, since whatever it changed so far stays changed
+    const report = await rolloverAcademicYear(year, nextYear, { holdBacks, dryRun, userId: req.user._id, auditEntries })
+      .finally(() => recordAudit(req, auditEntries))
+
+    res.json({ message: dryRun ? 'Rollover preview' : 'Academic year rolled over successfully', ...report })
+  } catch (error) {
+    sendYearError(res, error)
+  }
+})
+
+export default router
@@ -0,0 +1,121 @@
+import express from 'express'
+import { body, validationResult } from 'express-validator'
+import AchievementRule, { ACHIEVEMENT_METRICS, ACHIEVEMENT_TIERS, ACHIEVEMENT_SKILLS } from '../models/AchievementRule.js'
+import { protect, requireSuperAdmin } from '../middleware/auth.js'
+import { evaluateAchievements } from '../utils/achievements.js'
+
+const router = express.Router()
+
+const RULE_FIELDS = ['name', 'description', 'metric', 'skill', 'threshold', 'tier', 'isActive']
+
+const ruleValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name)
+  return [
+    field('name').isString().trim().notEmpty().withMessage('Achievement name is required'),
+    body('description').optional().isString().withMessage('Description must be text'),
+    field('metric').isIn(ACHIEVEMENT_METRICS).withMessage(`Metric must be one of: ${ACHIEVEMENT_METRICS.join(', ')}`),
+    body('skill').optional({ values: 'null' }).isIn(ACHIEVEMENT_SKILLS).withMessage(`Skill must be one of: ${ACHIEVEMENT_SKILLS.join(', ')}`),
+    field('threshold').isFloat({ min: 0 }).withMessage('Threshold must be a non-negative number').toFloat(),
+    body('tier').optional().isIn(ACHIEVEMENT_TIERS).withMessage(`Tier must be one of: ${ACHIEVEMENT_TIERS.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+  ]
+}
+
+const pickRuleFields = (source) => Object.fromEntries(RULE_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]]))
+
+const sendRuleError = (res, error) => {
+  if (error.name === 'CastError') return res.status(400).json({ message: 'Invalid achievement rule ID' })
+  if (error.code === 11000) return res.status(400).json({ message: 'An achievement with this name already exists' })
+  if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+  res.status(500).json({ message: 'Server error', error: error.message })
+}
+
+// List achievement rules
+router.get('/rules', protect, async (req, res) => {
+  try {
+    const { active } = req.query
+    const query = {}
+    if (active !== undefined) query.isActive = active === 'true'
+
+    const rules = await AchievementRule.find(query).sort({ metric: 1, threshold: 1 })
+    res.json({ rules, total: rules.length })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Create achievement rule - Super admin only
+router.post('/rules', [protect, requireSuperAdmin, ...ruleValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const rule = new AchievementRule({ ...pickRuleFields(req.body), createdBy: req.user._id })
+    if (rule.metric !== 'skillArea') rule.skill = undefined
+    await rule.save()
+    res.status(201).json(rule)
+  } catch (error) {
+    sendRuleError(res, error)
+  }
+})
+
+// Restore the built-in rules that are missing - Super admin only
+router.post('/rules/defaults', protect, requireSuperAdmin, async (req, res) => {
+  try {
+    const created = await AchievementRule.seedDefaults()
+    res.json({ message: 'Default achievement rules restored', created })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Award newly added or lowered rules to students who already qualify - Super admin only
+router.post('/rules/evaluate', [
+  protect,
+  requireSuperAdmin,
+  body('schoolId').optional().isMongoId().withMessage('Valid school ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const { evaluated, awarded } = await evaluateAchievements(req.body.schoolId ? { schoolId: req.body.schoolId } : {})
+
+    res.json({ message: 'Achievement rules evaluated', evaluated, awarded })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Update achievement rule - Super admin only
+router.put('/rules/:id', [protect, requireSuperAdmin, ...ruleValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const rule = await AchievementRule.findById(req.params.id)
+    if (!rule) return res.status(404).json({ message: 'Achievement rule not found' })
+
+    rule.set(pickRuleFields(req.body))
+    if (rule.metric !== 'skillArea') rule.skill = undefined
+    await rule.save()
+
+    res.json(rule)
+  } catch (error) {
+    sendRuleError(res, error)
+  }
+})
+
+// Delete achievement rule - Super admin only; badges already earned are kept
+router.delete('/rules/:id', protect, requireSuperAdmin, async (req, res) => {
+  try {
+    const rule = await AchievementRule.findByIdAndDelete(req.params.id)
+    if (!rule) return res.status(404).json({ message: 'Achievement rule not found' })
+
+    res.json({ message: 'Achievement rule deleted successfully' })
+  } catch (error) {
+    sendRuleError(res, error)
+  }
+})
+
+export default router
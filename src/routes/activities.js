@@ -0,0 +1,135 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import LearningActivity from '../models/LearningActivity.js'
+import Student from '../models/Student.js'
+import School from '../models/School.js'
+import { protect } from '../middleware/auth.js'
+import { canViewData, scopeStudents } from '../middleware/roleAuth.js'
+import { authenticateLearningApp } from '../middleware/apiKey.js'
+import { validateActivity, applyActivitiesToStudent } from '../utils/activities.js'
+import { resolveTimezone } from '../utils/dates.js'
+import { isStudentInScope } from '../utils/scope.js'
+
+const router = express.Router()
+
+const MAX_BATCH_SIZE = 100
+
+// Record lesson completions from the learning app - single ({ ...activity }) or batched ({ activities: [...] })
+router.post('/', authenticateLearningApp, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body.activities) ? req.body.activities : [req.body]
+    if (items.length === 0) return res.status(400).json({ message: 'No activities submitted' })
+    if (items.length > MAX_BATCH_SIZE) return res.status(400).json({ message: `A batch can contain at most ${MAX_BATCH_SIZE} activities` })
+
+    const results = items.map((item, index) => ({ index, idempotencyKey: item?.idempotencyKey, status: 'pending' }))
+
+    // Reject invalid rows individually so one bad row does not sink the batch
+    items.forEach((item, index) => {
+      const problems = validateActivity(item)
+      if (problems.length > 0) Object.assign(results[index], { status: 'rejected', errors: problems })
+    })
+
+    // Reject repeats of a key inside the same batch up front
+    const seenKeys = new Set()
+    results.forEach(result => {
+      if (result.status !== 'pending') return
+      if (seenKeys.has(result.idempotencyKey)) result.status = 'duplicate'
+      seenKeys.add(result.idempotencyKey)
+    })
+
+    const studentIds = [...new Set(results.filter(r => r.status === 'pending').map(r => String(items[r.index].studentId)))]
+    const students = await Student.find({ _id: { $in: studentIds } })
+    const studentsById = new Map(students.map(student => [student._id.toString(), student]))
+
+    // Claim each idempotency key by inserting the activity; a duplicate key means it was already counted
+    const inserted = new Map()
+    for (const result of results.filter(r => r.status === 'pending')) {
+      const item = items[result.index]
+      const student = studentsById.get(String(item.studentId))
+      if (!student) {
+        Object.assign(result, { status: 'rejected', errors: ['Student not found'] })
+        continue
+      }
+
+      try {
+        const activity = await LearningActivity.create({
+          idempotencyKey: item.idempotencyKey,
+          studentId: student._id,
+          schoolId: student.schoolId,
+          lessonId: item.lessonId,
+          skill: item.skill,
+          score: item.score,
+          durationMinutes: item.durationMinutes,
+          xpEarned: item.xpEarned,
+          ...(item.completedAt ? { completedAt: new Date(item.completedAt) } : {})
+        })
+        Object.assign(result, { status: 'recorded', activityId: activity._id })
+        const key = student._id.toString()
+        if (!inserted.has(key)) inserted.set(key, [])
+        inserted.get(key).push({ activity, result })
+      } catch (error) {
+        if (error.code === 11000) result.status = 'duplicate'
+        else Object.assign(result, { status: 'rejected', errors: [error.message] })
+      }
+    }
+
+    // Streaks are counted in each school's own timezone
+    const schools = await School.find({ _id: { $in: [...inserted.keys()].map(id => studentsById.get(id).schoolId) } }).select('settings.timezone')
+    const timezones = new Map(schools.map(school => [school._id.toString(), resolveTimezone(school.settings?.timezone)]))
+
+    for (const [studentId, entries] of inserted) {
+      const student = studentsById.get(studentId)
+      try {
+        await applyActivitiesToStudent(student, entries.map(entry => entry.activity), { timezone: timezones.get(student.schoolId.toString()) })
+      } catch (error) {
+        // Release the keys so the learning app can retry these activities
+        console.error('Apply activities error:', error)
+        await LearningActivity.deleteMany({ _id: { $in: entries.map(entry => entry.activity._id) } })
+        entries.forEach(({ result }) => Object.assign(result, { status: 'failed', activityId: undefined, errors: ['Could not update student performance; please retry'] }))
+      }
+    }
+
+    const summary = results.reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1
+      return acc
+    }, { recorded: 0, duplicate: 0, rejected: 0, failed: 0 })
+
+    res.status(summary.recorded > 0 ? 201 : 200).json({ results, summary })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// List a student's recent activities
+router.get('/students/:studentId', protect, canViewData, scopeStudents, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, skill = '' } = req.query
+    if (!mongoose.isValidObjectId(req.params.studentId)) return res.status(400).json({ message: 'Invalid student ID' })
+
+    const student = await Student.findById(req.params.studentId).select('schoolId')
+    if (!student) return res.status(404).json({ message: 'Student not found' })
+
+    // School admins can only see students from their school
+    if (req.user.role === 'school_admin' && student.schoolId.toString() !== req.user.schoolId?.toString()) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own school.' })
+    }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own classes.' })
+    }
+
+    const query = { studentId: student._id }
+    if (skill) query.skill = skill
+
+    const activities = await LearningActivity.find(query)
+      .sort({ completedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+    const total = await LearningActivity.countDocuments(query)
+
+    res.json({ activities, totalPages: Math.ceil(total / limit), currentPage: parseInt(page), total })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+export default router
@@ -1,15 +1,53 @@
 import express from 'express'
 import mongoose from 'mongoose'
 import { protect, requireSuperAdmin } from '../middleware/auth.js'
+import AuditLog from '../models/AuditLog.js'
+import School from '../models/School.js'
+import { recordAudit, diffDocuments } from '../utils/audit.js'
+import { PROTECTED_FIELDS, modelForCollection, protectedProjection, sanitizeFilter, prepareInsert, prepareUpdate } from '../utils/dbExplorer.js'
 
 const router = express.Router()
 
+const isDryRun = (req) => req.query.dryRun === 'true'
+
+// Writes are refused while ADMIN_DB_READ_ONLY is on (dry runs still preview), and the audit log is
+// append-only, including through raw document edits
+const checkWritable = (req, res, next) => {
+  if (process.env.ADMIN_DB_READ_ONLY === 'true' && !isDryRun(req)) {
+    return res.status(403).json({ success: false, message: 'The database explorer is in read-only mode', code: 'ADMIN_DB_READ_ONLY' })
+  }
+  if (req.params.collection === AuditLog.collection.collectionName) {
+    return res.status(403).json({ success: false, message: 'The audit log cannot be modified' })
+  }
+  next()
+}
+
+const parseId = (id) => {
+  if (!mongoose.isValidObjectId(id)) throw Object.assign(new Error('Invalid document ID'), { statusCode: 400 })
+  return new mongoose.Types.ObjectId(id)
+}
+
+// Raw writes skip model middleware, so student changes recount the schools involved here
+const syncStudentCounts = async (collection, ...docs) => {
+  if (modelForCollection(collection)?.modelName !== 'Student') return
+  await School.refreshStudentCounts(docs.map(doc => doc?.schoolId))
+}
+
+const withoutProtected = (doc) => Object.fromEntries(Object.entries(doc).filter(([key]) => !PROTECTED_FIELDS.includes(key)))
+
+const sendError = (res, error, message) => {
+  if (error.statusCode === 400 || ['ValidationError', 'CastError'].includes(error.name)) {
+    return res.status(400).json({ success: false, message: error.message })
+  }
+  res.status(500).json({ success: false, message, error: error.message })
+}
+
 // List collections
 router.get('/collections', protect, requireSuperAdmin, async (req, res) => {
   try {
     const collections = await mongoose.connection.db.listCollections().toArray()
     const names = collections.map((c) => c.name).sort()
-    res.json({ success: true, collections: names })
+    res.json({ success: true, collections: names, readOnly: process.env.ADMIN_DB_READ_ONLY === 'true' })
   } catch (error) {
     res.status(500).json({ success: false, message: 'Failed to list collections', error: error.message })
   }
@@ -25,25 +63,31 @@ router.get('/:collection', protect, requireSuperAdmin, async (req, res) => {
 
     let filter = {}
     if (where) {
+      let parsed
       try {
-        const parsed = JSON.parse(String(where))
-        if (parsed && typeof parsed === 'object') filter = { ...filter, ...parsed }
-      } catch (_) {}
+        parsed = JSON.parse(String(where))
+      } catch (_) {
+        return res.status(400).json({ success: false, message: 'where must be valid JSON' })
+      }
+      filter = sanitizeFilter(parsed, modelForCollection(collection))
     }
     if (q) {
       // crude text search across common fields
-      const regex = new RegExp(String(q), 'i')
-      filter.$or = [
-        { name: regex },
-        { title: regex },
-        { email: regex },
-        { type: regex },
-        { status: regex },
-      ]
+      const regex = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      filter = {
+        ...filter,
+        $and: [...(filter.$and || []), { $or: [
+          { name: regex },
+          { title: regex },
+          { email: regex },
+          { type: regex },
+          { status: regex },
+        ] }]
+      }
     }
 
     const docs = await col
-      .find(filter)
+      .find(filter, { projection: protectedProjection() })
       .skip((Number(page) - 1) * Number(limit))
       .limit(Number(limit))
       .sort({ _id: -1 })
@@ -52,7 +96,7 @@ router.get('/:collection', protect, requireSuperAdmin, async (req, res) => {
     const total = await col.countDocuments(filter)
     res.json({ success: true, data: docs, total, page: Number(page), totalPages: Math.ceil(total / Number(limit)) })
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to fetch documents', error: error.message })
+    sendError(res, error, 'Failed to fetch documents')
   }
 })
 
@@ -61,52 +105,75 @@ router.get('/:collection/:id', protect, requireSuperAdmin, async (req, res) => {
   try {
     const { collection, id } = req.params
     const col = mongoose.connection.collection(collection)
-    const _id = new mongoose.Types.ObjectId(id)
-    const doc = await col.findOne({ _id })
+    const doc = await col.findOne({ _id: parseId(id) }, { projection: protectedProjection() })
     if (!doc) return res.status(404).json({ success: false, message: 'Not found' })
     res.json({ success: true, data: doc })
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to fetch document', error: error.message })
+    sendError(res, error, 'Failed to fetch document')
   }
 })
 
-// Create document
-router.post('/:collection', protect, requireSuperAdmin, async (req, res) => {
+// Create document; validated against the collection's model when there is one. ?dryRun=true previews it.
+router.post('/:collection', protect, requireSuperAdmin, checkWritable, async (req, res) => {
   try {
     const { collection } = req.params
     const col = mongoose.connection.collection(collection)
-    const result = await col.insertOne(req.body)
+    const doc = await prepareInsert(collection, req.body)
+
+    if (isDryRun(req)) return res.json({ success: true, dryRun: true, data: doc, changes: diffDocuments(null, doc) })
+
+    const result = await col.insertOne(doc)
+    await syncStudentCounts(collection, doc)
+    await recordAudit(req, { action: 'create', targetCollection: collection, targetId: result.insertedId, after: doc })
     res.status(201).json({ success: true, insertedId: result.insertedId })
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to create document', error: error.message })
+    sendError(res, error, 'Failed to create document')
   }
 })
 
-// Update document by id
-router.put('/:collection/:id', protect, requireSuperAdmin, async (req, res) => {
+// Update document by id; only the sent fields are $set, after the same checks as create.
+// ?dryRun=true returns the resulting document and the diff without writing.
+router.put('/:collection/:id', protect, requireSuperAdmin, checkWritable, async (req, res) => {
   try {
     const { collection, id } = req.params
     const col = mongoose.connection.collection(collection)
-    const _id = new mongoose.Types.ObjectId(id)
-    const { value } = await col.findOneAndUpdate({ _id }, { $set: req.body }, { returnDocument: 'after' })
+    const _id = parseId(id)
+    const before = await col.findOne({ _id })
+    if (!before) return res.status(404).json({ success: false, message: 'Not found' })
+
+    const { set, after } = await prepareUpdate(collection, before, req.body)
+    if (isDryRun(req)) {
+      return res.json({ success: true, dryRun: true, data: withoutProtected(after), changes: diffDocuments(before, after) })
+    }
+
+    const value = await col.findOneAndUpdate({ _id }, { $set: set }, { returnDocument: 'after', projection: protectedProjection() })
     if (!value) return res.status(404).json({ success: false, message: 'Not found' })
+    await syncStudentCounts(collection, before, after)
+    await recordAudit(req, { action: 'update', targetCollection: collection, targetId: _id, before, after })
     res.json({ success: true, data: value })
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to update document', error: error.message })
+    sendError(res, error, 'Failed to update document')
   }
 })
 
-// Delete document by id
-router.delete('/:collection/:id', protect, requireSuperAdmin, async (req, res) => {
+// Delete document by id; ?dryRun=true shows what would be removed
+router.delete('/:collection/:id', protect, requireSuperAdmin, checkWritable, async (req, res) => {
   try {
     const { collection, id } = req.params
     const col = mongoose.connection.collection(collection)
-    const _id = new mongoose.Types.ObjectId(id)
+    const _id = parseId(id)
+    const before = await col.findOne({ _id })
+    if (!before) return res.status(404).json({ success: false, message: 'Not found' })
+
+    if (isDryRun(req)) return res.json({ success: true, dryRun: true, changes: diffDocuments(before, null) })
+
     const result = await col.deleteOne({ _id })
     if (result.deletedCount === 0) return res.status(404).json({ success: false, message: 'Not found' })
+    await syncStudentCounts(collection, before)
+    await recordAudit(req, { action: 'delete', targetCollection: collection, targetId: _id, before })
     res.json({ success: true })
   } catch (error) {
-    res.status(500).json({ success: false, message: 'Failed to delete document', error: error.message })
+    sendError(res, error, 'Failed to delete document')
   }
 })
 
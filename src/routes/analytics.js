@@ -2,20 +2,30 @@ import express from 'express'
 import School from '../models/School.js'
 import Student from '../models/Student.js'
 import { protect } from '../middleware/auth.js'
+import { requireSchoolFeature } from '../middleware/schoolFeatures.js'
+import { canViewSchoolData, scopeTenant } from '../middleware/roleAuth.js'
+import { classFilter } from '../utils/classes.js'
+import { applyStudentScope, applySchoolScope, schoolObjectId } from '../utils/scope.js'
 
 const router = express.Router()
 
+// Every reporting route is pinned to the caller's school; mounting scopeTenant here means a new route cannot leave it out
+router.use(protect, scopeTenant)
+
 // Get dashboard overview statistics
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', requireSchoolFeature('hasAnalytics'), async (req, res) => {
   try {
     const { schoolId } = req.query
     let schoolQuery = {}
     let studentQuery = {}
     
     if (schoolId) {
-      schoolQuery._id = schoolId
-      studentQuery.schoolId = schoolId
+      schoolQuery._id = schoolObjectId(schoolId)
+      studentQuery.schoolId = schoolObjectId(schoolId)
     }
+    // School staff only ever see their own school (and teachers their own classes)
+    schoolQuery = applySchoolScope(req, schoolQuery)
+    studentQuery = applyStudentScope(req, studentQuery)
     
     const schoolStats = await School.aggregate([
       { $match: schoolQuery },
@@ -53,15 +63,15 @@ router.get('/dashboard', protect, async (req, res) => {
 })
 
 // Get performance distribution
-router.get('/performance/distribution', protect, async (req, res) => {
+router.get('/performance/distribution', requireSchoolFeature('hasAnalytics'), async (req, res) => {
   try {
     const { schoolId, class: className } = req.query
     let query = {}
-    if (schoolId) query.schoolId = schoolId
-    if (className) query.class = className
+    if (schoolId) query.schoolId = schoolObjectId(schoolId)
+    if (className) Object.assign(query, classFilter(className))
 
     const performanceDistribution = await Student.aggregate([
-      { $match: query },
+      { $match: applyStudentScope(req, query) },
       { $group: { _id: { $switch: { branches: [ { case: { $gte: ['$performance.accuracyPercentage', 90] }, then: 'excellent' }, { case: { $gte: ['$performance.accuracyPercentage', 75] }, then: 'good' }, { case: { $gte: ['$performance.accuracyPercentage', 60] }, then: 'average' }, { case: { $gte: ['$performance.accuracyPercentage', 0] }, then: 'needsImprovement' } ], default: 'needsImprovement' } }, count: { $sum: 1 }, averageAccuracy: { $avg: '$performance.accuracyPercentage' } } },
       { $sort: { _id: 1 } }
     ])
@@ -85,15 +95,15 @@ router.get('/performance/distribution', protect, async (req, res) => {
 })
 
 // Get skill analytics
-router.get('/performance/skills', protect, async (req, res) => {
+router.get('/performance/skills', requireSchoolFeature('hasAnalytics'), async (req, res) => {
   try {
     const { schoolId, class: className } = req.query
     let query = {}
-    if (schoolId) query.schoolId = schoolId
-    if (className) query.class = className
+    if (schoolId) query.schoolId = schoolObjectId(schoolId)
+    if (className) Object.assign(query, classFilter(className))
 
     const skillAnalytics = await Student.aggregate([
-      { $match: query },
+      { $match: applyStudentScope(req, query) },
       { $group: { _id: null, vocabulary: { $avg: '$performance.skillAreas.vocabulary' }, grammar: { $avg: '$performance.skillAreas.grammar' }, pronunciation: { $avg: '$performance.skillAreas.pronunciation' }, listening: { $avg: '$performance.skillAreas.listening' }, speaking: { $avg: '$performance.skillAreas.speaking' } } }
     ])
 
@@ -115,11 +125,11 @@ router.get('/performance/skills', protect, async (req, res) => {
 })
 
 // Get engagement trends
-router.get('/engagement/trends', protect, async (req, res) => {
+router.get('/engagement/trends', requireSchoolFeature('hasAnalytics'), async (req, res) => {
   try {
     const { schoolId, period = 'monthly' } = req.query
     let query = {}
-    if (schoolId) query.schoolId = schoolId
+    if (schoolId) query.schoolId = schoolObjectId(schoolId)
 
     let groupBy = {}
     if (period === 'monthly') groupBy = { $dateToString: { format: '%Y-%m', date: '$enrollmentDate' } }
@@ -127,7 +137,7 @@ router.get('/engagement/trends', protect, async (req, res) => {
     else groupBy = { $dateToString: { format: '%Y', date: '$enrollmentDate' } }
 
     const engagementTrends = await Student.aggregate([
-      { $match: query },
+      { $match: applyStudentScope(req, query) },
       { $group: { _id: groupBy, count: { $sum: 1 }, avgTime: { $avg: '$performance.timeSpentMinutes' }, avgLessons: { $avg: '$performance.lessonsCompleted' }, avgAccuracy: { $avg: '$performance.accuracyPercentage' } } },
       { $sort: { _id: 1 } },
       { $limit: 12 }
@@ -140,12 +150,12 @@ router.get('/engagement/trends', protect, async (req, res) => {
 })
 
 // Get top performing schools
-router.get('/schools/top-performing', protect, async (req, res) => {
+router.get('/schools/top-performing', requireSchoolFeature('hasAnalytics'), canViewSchoolData, async (req, res) => {
   try {
     const { limit = 10, minStudents = 0 } = req.query
     const topSchools = await School.aggregate([
-      { $match: { totalStudents: { $gte: parseInt(minStudents) } } },
-      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', as: 'students' } },
+      { $match: applySchoolScope(req, { totalStudents: { $gte: parseInt(minStudents) } }) },
+      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', pipeline: [{ $match: { deletedAt: null } }], as: 'students' } },
       { $addFields: { averageAccuracy: { $avg: '$students.performance.accuracyPercentage' }, totalLessons: { $sum: '$students.performance.lessonsCompleted' }, activeStudents: { $size: { $filter: { input: '$students', cond: { $gt: ['$$this.performance.lessonsCompleted', 0] } } } } } },
       { $project: { name: 1, board: 1, totalStudents: 1, averageAccuracy: 1, totalLessons: 1, activeStudents: 1, status: 1, createdAt: 1, 'adminContact.email': 1 } },
       { $sort: { averageAccuracy: -1 } },
@@ -160,16 +170,17 @@ router.get('/schools/top-performing', protect, async (req, res) => {
 })
 
 // Get comparative analytics
-router.get('/comparative', protect, async (req, res) => {
+router.get('/comparative', requireSchoolFeature('hasAnalytics'), canViewSchoolData, async (req, res) => {
   try {
-    const { schoolId, compareWith = 'all' } = req.query
+    const { compareWith = 'all' } = req.query
+    const schoolId = req.query.schoolId || req.tenantSchoolId
     if (!schoolId) return res.status(400).json({ message: 'School ID is required for comparative analysis' })
 
     const currentSchool = await School.findById(schoolId)
     if (!currentSchool) return res.status(404).json({ message: 'School not found' })
 
     const currentSchoolStats = await Student.aggregate([
-      { $match: { schoolId } },
+      { $match: { schoolId: currentSchool._id } },
       { $group: { _id: null, totalStudents: { $sum: 1 }, averageAccuracy: { $avg: '$performance.accuracyPercentage' }, totalLessons: { $sum: '$performance.lessonsCompleted' }, averageTimeSpent: { $avg: '$performance.timeSpentMinutes' } } }
     ])
 
@@ -178,8 +189,9 @@ router.get('/comparative', protect, async (req, res) => {
     else if (compareWith === 'same-size') comparisonQuery.totalStudents = getSizeRange(currentSchool.totalStudents)
 
     const comparisonStats = await School.aggregate([
-      { $match: { ...comparisonQuery, _id: { $ne: schoolId } } },
-      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', as: 'students' } },
+      // Other schools only contribute to the group averages, never individually
+      { $match: { ...comparisonQuery, _id: { $ne: currentSchool._id } } },
+      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', pipeline: [{ $match: { deletedAt: null } }], as: 'students' } },
       { $group: { _id: null, totalSchools: { $sum: 1 }, averageAccuracy: { $avg: '$students.performance.accuracyPercentage' }, averageLessons: { $avg: '$students.performance.lessonsCompleted' }, averageTimeSpent: { $avg: '$students.performance.timeSpentMinutes' } } }
     ])
 
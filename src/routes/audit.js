@@ -0,0 +1,123 @@
+import express from 'express'
+import AuditLog from '../models/AuditLog.js'
+import { protect } from '../middleware/auth.js'
+import { requireSuperAdmin } from '../middleware/roleAuth.js'
+import { query as validateQuery, validationResult } from 'express-validator'
+import { createObjectCsvWriter as createCsvWriter } from 'csv-writer'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { fileURLToPath } from 'url'
+import { escapeCsvRecord } from '../utils/csv.js'
+
+const router = express.Router()
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const MAX_EXPORT_ROWS = 10000
+
+const filterValidators = [
+  validateQuery('actor').optional().isMongoId().withMessage('actor must be a valid user ID'),
+  validateQuery('action').optional().isIn(AuditLog.schema.path('action').enumValues).withMessage('Invalid action'),
+  validateQuery('from').optional().isISO8601().withMessage('from must be a date'),
+  validateQuery('to').optional().isISO8601().withMessage('to must be a date')
+]
+
+// Build the log query from ?actor, role, collection, targetId, action, method, route, from and to
+const buildAuditQuery = ({ actor, role, collection, targetId, action, method, route, from, to }) => {
+  const query = {}
+  if (actor) query.actor = actor
+  if (role) query.role = role
+  if (collection) query.targetCollection = collection
+  if (targetId) query.targetId = String(targetId)
+  if (action) query.action = action
+  if (method) query.method = String(method).toUpperCase()
+  if (route) query.route = { $regex: String(route).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' }
+  if (from || to) {
+    query.createdAt = {}
+    if (from) query.createdAt.$gte = new Date(from)
+    if (to) query.createdAt.$lte = new Date(to)
+  }
+  return query
+}
+
+// Get audit log entries, newest first - Super admin only
+router.get('/', [protect, requireSuperAdmin, ...filterValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200)
+    const query = buildAuditQuery(req.query)
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ])
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Export matching audit log entries as CSV, one row per entry - Super admin only
+router.get('/export', [protect, requireSuperAdmin, ...filterValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const entries = await AuditLog.find(buildAuditQuery(req.query))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean()
+
+    if (entries.length === 0) return res.status(404).json({ message: 'No audit entries found matching the criteria' })
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+    const filename = `audit_log_${timestamp}.csv`
+    const filepath = path.join(__dirname, '../../temp', filename)
+    await fs.mkdir(path.dirname(filepath), { recursive: true })
+
+    const csvWriter = createCsvWriter({
+      path: filepath,
+      header: [
+        { id: 'createdAt', title: 'Timestamp' },
+        { id: 'actorName', title: 'Actor' },
+        { id: 'actorEmail', title: 'Actor Email' },
+        { id: 'role', title: 'Role' },
+        { id: 'ip', title: 'IP' },
+        { id: 'method', title: 'Method' },
+        { id: 'path', title: 'Path' },
+        { id: 'action', title: 'Action' },
+        { id: 'targetCollection', title: 'Collection' },
+        { id: 'targetId', title: 'Target ID' },
+        { id: 'changes', title: 'Changes' }
+      ]
+    })
+    // Names, paths and changed values come from user input, so no cell may be read as a formula
+    await csvWriter.writeRecords(entries.map(entry => escapeCsvRecord({
+      ...entry,
+      createdAt: entry.createdAt.toISOString(),
+      changes: JSON.stringify(entry.changes || [])
+    })))
+
+    res.download(filepath, filename, (err) => {
+      if (err) console.error('Error sending file:', err)
+      fs.unlink(filepath).catch(() => {})
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+export default router
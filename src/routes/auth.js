@@ -1,11 +1,19 @@
 import express from 'express'
+import mongoose from 'mongoose'
 import { body, validationResult } from 'express-validator'
 import User from '../models/User.js'
 import Admin from '../models/Admin.js'
 import SchoolAdmin from '../models/SchoolAdmin.js'
 import School from '../models/School.js'
-import { protect } from '../middleware/auth.js'
-import jwt from 'jsonwebtoken'
+import { protect, requireSuperAdmin } from '../middleware/auth.js'
+import { enforcePasswordPolicy } from '../middleware/passwordPolicy.js'
+import { getPasswordPolicy } from '../utils/passwordPolicy.js'
+import { getSystemSettings } from '../utils/systemSettings.js'
+import LoginAttempt from '../models/LoginAttempt.js'
+import Session from '../models/Session.js'
+import { issuePasswordReset, resetPasswordWithToken } from '../utils/passwordReset.js'
+import { sendMail } from '../utils/mailer.js'
+import { startSession, rotateSession } from '../utils/sessions.js'
 
 const router = express.Router()
 
@@ -13,9 +21,9 @@ const router = express.Router()
 router.post('/register', [
   body('name').isLength({ min: 2 }).withMessage('Name is required'),
   body('email').isEmail().withMessage('Valid email is required'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('role').optional().isIn(['super_admin', 'school_admin']).withMessage('Invalid role'),
-  body('target').optional().isIn(['users','admins']).withMessage('Invalid target store')
+  body('target').optional().isIn(['users','admins']).withMessage('Invalid target store'),
+  enforcePasswordPolicy('password')
 ], async (req, res) => {
   try {
     const errors = validationResult(req)
@@ -42,10 +50,7 @@ router.post('/register', [
       user = await User.create({ name, email, password, role })
     }
 
-    const token = user.getSignedJwtToken()
-    const refreshToken = user.getRefreshToken()
-    user.refreshToken = refreshToken
-    await user.save()
+    const { token, refreshToken } = await startSession(user, req)
 
     res.status(201).json({ success: true, token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role, schoolId: user.schoolId } })
   } catch (error) {
@@ -54,6 +59,19 @@ router.post('/register', [
   }
 })
 
+// @desc    Get the password policy new passwords must satisfy
+// @route   GET /api/auth/password-policy
+// @access  Public
+router.get('/password-policy', async (req, res) => {
+  try {
+    const policy = await getPasswordPolicy()
+    res.status(200).json({ success: true, policy })
+  } catch (error) {
+    console.error('Password policy error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
 // Complete onboarding: create school and associate with user
 router.post('/onboarding', [
   protect,
@@ -116,6 +134,18 @@ router.post('/login', [
 
     const { email, password } = req.body
 
+    // Refuse early while the account or the caller's IP is locked out
+    const { security } = await getSystemSettings()
+    const attemptKeys = LoginAttempt.keysFor(email, req.ip)
+    const activeLock = await LoginAttempt.findActiveLock(attemptKeys)
+    if (activeLock) return sendLockedOut(res, activeLock)
+
+    const rejectLogin = async () => {
+      const lock = await LoginAttempt.registerFailure(attemptKeys, security)
+      if (lock) return sendLockedOut(res, lock)
+      return res.status(401).json({ success: false, message: 'Invalid credentials', code: 'INVALID_CREDENTIALS' })
+    }
+
     // Env single super admin support
     if (process.env.SUPER_ADMIN_EMAIL && process.env.SUPER_ADMIN_PASSWORD && email === process.env.SUPER_ADMIN_EMAIL && password === process.env.SUPER_ADMIN_PASSWORD) {
       const bcrypt = (await import('bcryptjs')).default
@@ -125,10 +155,8 @@ router.post('/login', [
         { name: 'Super Admin', email, password: hashed, role: 'super_admin', isActive: true },
         { upsert: true, new: true, setDefaultsOnInsert: true }
       )
-      const token = mirror.getSignedJwtToken()
-      const refreshToken = mirror.getRefreshToken()
-      mirror.refreshToken = refreshToken
-      await mirror.save()
+      const { token, refreshToken } = await startSession(mirror, req)
+      await LoginAttempt.clearFailures(email, req.ip)
       return res.status(200).json({ success: true, token, refreshToken, user: { id: mirror._id, name: mirror.name, email: mirror.email, role: mirror.role, schoolId: mirror.schoolId } })
     }
 
@@ -140,7 +168,7 @@ router.post('/login', [
       if (admin) {
         const bcrypt = (await import('bcryptjs')).default
         const ok = await bcrypt.compare(password, admin.password)
-        if (!ok) return res.status(401).json({ success: false, message: 'Invalid credentials' })
+        if (!ok) return rejectLogin()
         const upserted = await User.findOneAndUpdate(
           { email: admin.email },
           { name: admin.name || 'Admin', email: admin.email, password: admin.password, role: 'super_admin', isActive: true },
@@ -149,9 +177,9 @@ router.post('/login', [
         user = upserted
       }
     } else {
-      if (!user.isActive) return res.status(401).json({ success: false, message: 'Account is deactivated' })
+      if (!user.isActive) return res.status(401).json({ success: false, message: 'Account is deactivated', code: 'ACCOUNT_DEACTIVATED' })
       const isMatch = await user.matchPassword(password)
-      if (!isMatch) return res.status(401).json({ success: false, message: 'Invalid credentials' })
+      if (!isMatch) return rejectLogin()
     }
 
     // Try school_admins collection if still not found
@@ -160,7 +188,7 @@ router.post('/login', [
       if (schoolAdmin) {
         const bcrypt = (await import('bcryptjs')).default
         const ok = await bcrypt.compare(password, schoolAdmin.password)
-        if (!ok) return res.status(401).json({ success: false, message: 'Invalid credentials' })
+        if (!ok) return rejectLogin()
         const upserted = await User.findOneAndUpdate(
           { email: schoolAdmin.email },
           { name: schoolAdmin.name || 'School Admin', email: schoolAdmin.email, password: schoolAdmin.password, role: 'school_admin', isActive: true },
@@ -170,14 +198,12 @@ router.post('/login', [
       }
     }
 
-    if (!user) return res.status(401).json({ success: false, message: 'Invalid credentials' })
+    if (!user) return rejectLogin()
 
+    await LoginAttempt.clearFailures(email, req.ip)
     await user.updateLastLogin()
 
-    const token = user.getSignedJwtToken()
-    const refreshToken = user.getRefreshToken()
-    user.refreshToken = refreshToken
-    await user.save()
+    const { token, refreshToken } = await startSession(user, req)
 
     res.status(200).json({ success: true, token, refreshToken, user: { id: user._id, name: user.name, email: user.email, role: user.role, schoolId: user.schoolId } })
   } catch (error) {
@@ -186,14 +212,156 @@ router.post('/login', [
   }
 })
 
-// @desc    Logout user
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, message: errors.array()[0].msg })
+
+    const { email } = req.body
+    const resetToken = await issuePasswordReset(email)
+
+    if (resetToken) {
+      const baseUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173'
+      const resetUrl = `${baseUrl.replace(/\/$/, '')}/reset-password/${resetToken}`
+      // A delivery failure is only logged: an error response would tell the caller the account exists
+      try {
+        await sendMail({
+          to: email,
+          subject: 'Reset your SpeakGenie password',
+          text: `We received a request to reset your password.\n\nOpen this link within 10 minutes to choose a new password:\n${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+          html: `<p>We received a request to reset your password.</p><p><a href="${resetUrl}">Choose a new password</a> (link valid for 10 minutes).</p><p>If you did not ask for this, you can ignore this email.</p>`
+        })
+      } catch (error) {
+        console.error('Password reset email error:', error)
+      }
+    }
+
+    // Same response whether or not the account exists, so emails cannot be probed
+    res.status(200).json({ success: true, message: 'If an account exists for this email, a reset link has been sent' })
+  } catch (error) {
+    console.error('Forgot password error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+  enforcePasswordPolicy('password')
+], async (req, res) => {
+  try {
+    const email = await resetPasswordWithToken(req.params.token, req.body.password)
+    if (!email) return res.status(400).json({ success: false, message: 'Reset link is invalid or has expired', code: 'INVALID_RESET_TOKEN' })
+
+    // A successful reset also lifts any lockout on the account
+    await LoginAttempt.clearFailures(email)
+
+    res.status(200).json({ success: true, message: 'Password has been reset. Please log in with your new password.' })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    List active login lockouts
+// @route   GET /api/auth/lockouts
+// @access  Private (super admin)
+router.get('/lockouts', protect, requireSuperAdmin, async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.find({ lockedUntil: { $gt: new Date() } })
+      .sort({ lockedUntil: -1 })
+      .select('type value count lastFailedAt lockedUntil')
+
+    res.status(200).json({ success: true, lockouts })
+  } catch (error) {
+    console.error('List lockouts error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    Unlock an account and/or IP after repeated failed logins
+// @route   POST /api/auth/unlock
+// @access  Private (super admin)
+router.post('/unlock', protect, requireSuperAdmin, [
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('ip').optional().isIP().withMessage('Please provide a valid IP address'),
+  body().custom(value => value.email || value.ip).withMessage('Email or IP is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, message: errors.array()[0].msg })
+
+    const { email, ip } = req.body
+    const keys = LoginAttempt.keysFor(email, ip).filter(key => key.value)
+    const result = await LoginAttempt.deleteMany({ $or: keys })
+
+    res.status(200).json({ success: true, message: 'Login lockout cleared', cleared: result.deletedCount })
+  } catch (error) {
+    console.error('Unlock error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    List a user's open sessions, or include signed-out ones with ?all=true
+// @route   GET /api/auth/users/:id/sessions
+// @access  Private (super admin)
+router.get('/users/:id/sessions', protect, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid user ID' })
+
+    const query = { userId: req.params.id }
+    if (req.query.all !== 'true') Object.assign(query, { revokedAt: null, expiresAt: { $gt: new Date() } })
+
+    const sessions = await Session.find(query)
+      .select('device userAgent ip createdAt lastUsedAt expiresAt revokedAt revokedReason revokedBy')
+      .sort({ lastUsedAt: -1 })
+      .limit(100)
+
+    res.status(200).json({ success: true, sessions })
+  } catch (error) {
+    console.error('List user sessions error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    Force logout: sign a user out of every device, or of one session with `sessionId`
+// @route   POST /api/auth/users/:id/logout
+// @access  Private (super admin)
+router.post('/users/:id/logout', protect, requireSuperAdmin, [
+  body('sessionId').optional().isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ success: false, message: errors.array()[0].msg })
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ success: false, message: 'Invalid user ID' })
+
+    const user = await User.findById(req.params.id).select('email')
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' })
+
+    const filter = { userId: user._id, ...(req.body.sessionId ? { _id: req.body.sessionId } : {}) }
+    const revoked = await Session.revokeWhere(filter, 'admin', req.user._id)
+    // Signing out everywhere also ends access tokens that have no session
+    if (!req.body.sessionId) await User.updateOne({ _id: user._id }, { $set: { sessionsRevokedAt: new Date() } })
+
+    res.status(200).json({ success: true, message: `Signed out ${revoked} session(s)`, revoked })
+  } catch (error) {
+    console.error('Force logout error:', error)
+    res.status(500).json({ success: false, message: 'Server error' })
+  }
+})
+
+// @desc    Logout user: ends the session the access token belongs to, so its refresh token stops working
 // @route   POST /api/auth/logout
 // @access  Private
 router.post('/logout', protect, async (req, res) => {
   try {
-    // Clear refresh token
-    req.user.refreshToken = null
-    await req.user.save()
+    if (req.sessionId) await Session.revokeWhere({ _id: req.sessionId, userId: req.user._id }, 'logout')
 
     res.status(200).json({
       success: true,
@@ -208,7 +376,7 @@ router.post('/logout', protect, async (req, res) => {
   }
 })
 
-// @desc    Refresh token
+// @desc    Exchange a refresh token for a new access and refresh token (rotation)
 // @route   POST /api/auth/refresh
 // @access  Public
 router.post('/refresh', [
@@ -226,47 +394,86 @@ router.post('/refresh', [
       })
     }
 
-    const { refreshToken } = req.body
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken, req)
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
-
-    // Find user with this refresh token
-    const user = await User.findById(decoded.id)
-    if (!user || user.refreshToken !== refreshToken) {
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    })
+  } catch (error) {
+    if (error.statusCode === 401) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid refresh token'
+        error: error.message,
+        code: error.code
       })
     }
+    console.error('Refresh token error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    })
+  }
+})
 
-    // Generate new tokens
-    const newToken = user.getSignedJwtToken()
-    const newRefreshToken = user.getRefreshToken()
-
-    // Save new refresh token
-    user.refreshToken = newRefreshToken
-    await user.save()
+// @desc    List the signed-in devices of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.find({ userId: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
 
     res.status(200).json({
       success: true,
-      token: newToken,
-      refreshToken: newRefreshToken
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === String(req.sessionId)
+      }))
     })
   } catch (error) {
-    console.error('Refresh token error:', error)
-    if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
+    console.error('List sessions error:', error)
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    })
+  }
+})
+
+// @desc    Sign out one of the current user's devices
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid refresh token'
+        error: 'Invalid session ID'
       })
     }
-    if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
+
+    const revoked = await Session.revokeWhere({ _id: req.params.id, userId: req.user._id }, 'revoked')
+    if (!revoked) {
+      return res.status(404).json({
         success: false,
-        error: 'Refresh token expired'
+        error: 'Session not found'
       })
     }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out'
+    })
+  } catch (error) {
+    console.error('Revoke session error:', error)
     res.status(500).json({
       success: false,
       error: 'Server error'
@@ -358,9 +565,7 @@ router.put('/change-password', protect, [
   body('currentPassword')
     .notEmpty()
     .withMessage('Current password is required'),
-  body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+  enforcePasswordPolicy('newPassword')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -386,14 +591,18 @@ router.put('/change-password', protect, [
       })
     }
 
-    // Update password
+    // Update password; tokens issued before now stop working, so sign out every session and start a new one
     user.password = newPassword
     user.passwordChangedAt = Date.now()
     await user.save()
+    await Session.revokeWhere({ userId: user._id }, 'password_change')
+    const { token, refreshToken } = await startSession(user, req)
 
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      token,
+      refreshToken
     })
   } catch (error) {
     console.error('Change password error:', error)
@@ -404,43 +613,19 @@ router.put('/change-password', protect, [
   }
 })
 
-export default router
+// Respond to a login blocked by a lockout on the account or the caller's IP
+function sendLockedOut(res, lock) {
+  const retryAfter = Math.max(1, Math.ceil((lock.lockedUntil.getTime() - Date.now()) / 1000))
+  res.set('Retry-After', String(retryAfter))
+  return res.status(423).json({
+    success: false,
+    message: lock.type === 'ip'
+      ? 'Too many failed login attempts from this network. Please try again later.'
+      : 'Account locked after too many failed login attempts. Please try again later.',
+    code: lock.type === 'ip' ? 'IP_LOCKED' : 'ACCOUNT_LOCKED',
+    retryAfter,
+    lockedUntil: lock.lockedUntil
+  })
+}
 
-// Get current user
-router.get('/me', protect, async (req, res) => {
-  try {
-    return res.status(200).json({
-      id: req.user._id,
-      name: req.user.name,
-      email: req.user.email,
-      role: req.user.role,
-      schoolId: req.user.schoolId
-    })
-  } catch (error) {
-    console.error('Me error:', error)
-    res.status(500).json({ success: false, message: 'Server error' })
-  }
-})
-
-// Logout
-router.post('/logout', protect, async (req, res) => {
-  try {
-    req.user.refreshToken = undefined
-    await req.user.save()
-    return res.status(200).json({ success: true })
-  } catch (error) {
-    console.error('Logout error:', error)
-    res.status(500).json({ success: false, message: 'Server error' })
-  }
-})
-
-// Refresh access token (simple dev version: re-issue based on current access token)
-router.post('/refresh', protect, async (req, res) => {
-  try {
-    const token = req.user.getSignedJwtToken()
-    return res.status(200).json({ token })
-  } catch (error) {
-    console.error('Refresh error:', error)
-    res.status(500).json({ success: false, message: 'Server error' })
-  }
-})
+export default router
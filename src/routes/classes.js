@@ -0,0 +1,246 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import Class from '../models/Class.js'
+import AcademicYear from '../models/AcademicYear.js'
+import School from '../models/School.js'
+import Student from '../models/Student.js'
+import { protect } from '../middleware/auth.js'
+import { canPerformCRUD, canViewData, canAccessSchool } from '../middleware/roleAuth.js'
+import { body, validationResult } from 'express-validator'
+import { recordAudit } from '../utils/audit.js'
+
+const router = express.Router()
+
+const CLASS_FIELDS = ['grade', 'section', 'academicYear', 'classTeacher', 'capacity', 'isActive']
+
+const classValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name)
+  return [
+    field('grade').isInt({ min: 1, max: 12 }).withMessage('Grade must be between 1 and 12').toInt(),
+    body('section').optional().isString().isLength({ max: 10 }).withMessage('Section cannot be more than 10 characters'),
+    body('academicYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Academic year must look like 2025-26'),
+    body('classTeacher.email').optional({ values: 'falsy' }).isEmail().withMessage('Valid class teacher email is required'),
+    body('capacity').optional().isInt({ min: 1 }).withMessage('Capacity must be a positive number').toInt(),
+    body('isActive').optional().isBoolean().toBoolean()
+  ]
+}
+
+const pickClassFields = (source) => Object.fromEntries(CLASS_FIELDS.filter(key => source[key] !== undefined).map(key => [key, source[key]]))
+
+// School admins only see classes of their own school, teachers only the classes they teach
+const loadClass = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid class ID' })
+    return null
+  }
+  const klass = await Class.findById(req.params.id).populate('schoolId', 'name board')
+  if (!klass || (req.user.role !== 'super_admin' && !klass.schoolId?._id.equals(req.user.schoolId))) {
+    res.status(404).json({ message: 'Class not found' })
+    return null
+  }
+  if (req.user.role === 'teacher' && !(req.user.classIds || []).some(id => id.equals(klass._id))) {
+    res.status(403).json({ message: 'Access denied. You can only view your own classes.' })
+    return null
+  }
+  return klass
+}
+
+// Get classes with student counts - school admins see their own school only, teachers their own classes
+router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
+  try {
+    const { schoolId = '', academicYear = '', grade = '', active = '' } = req.query
+
+    let query = {}
+    if (req.user.role !== 'super_admin') query.schoolId = req.user.schoolId
+    else if (schoolId) query.schoolId = schoolId
+    if (req.user.role === 'teacher') query._id = { $in: req.user.classIds || [] }
+    if (academicYear) query.academicYear = academicYear
+    if (grade) query.grade = parseInt(grade)
+    if (active) query.isActive = active === 'true'
+
+    const classes = await Class.find(query)
+      .populate('schoolId', 'name')
+      .sort({ academicYear: -1, grade: 1, section: 1 })
+
+    const counts = await Student.aggregate([
+      { $match: { classId: { $in: classes.map(klass => klass._id) } } },
+      { $group: { _id: '$classId', count: { $sum: 1 } } }
+    ])
+    const countByClass = new Map(counts.map(count => [count._id.toString(), count.count]))
+
+    res.json({
+      classes: classes.map(klass => ({ ...klass.toObject(), studentCount: countByClass.get(klass._id.toString()) || 0 })),
+      total: classes.length,
+      filters: { schoolId, academicYear, grade, active }
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get class roster
+router.get('/:id', protect, canViewData, async (req, res) => {
+  try {
+    const klass = await loadClass(req, res)
+    if (!klass) return
+
+    const students = await Student.find({ classId: klass._id })
+      .select('name rollNumber profile.gender profile.age status performance.accuracyPercentage performance.xpPoints performance.lessonsCompleted performance.streak performance.lastActivity')
+      .sort({ rollNumber: 1, name: 1 })
+
+    res.json({ class: klass, students, total: students.length })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get class statistics
+router.get('/:id/stats', protect, canViewData, async (req, res) => {
+  try {
+    const klass = await loadClass(req, res)
+    if (!klass) return
+
+    const [stats, topStudents] = await Promise.all([
+      klass.getStats(),
+      Student.find({ classId: klass._id })
+        .sort({ 'performance.xpPoints': -1 })
+        .limit(5)
+        .select('name rollNumber performance.xpPoints performance.accuracyPercentage')
+    ])
+
+    res.json({ class: { _id: klass._id, name: klass.name, academicYear: klass.academicYear, school: klass.schoolId }, stats, topStudents })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Create class - Super admin only
+router.post('/', [
+  protect,
+  canPerformCRUD,
+  body('schoolId').isMongoId().withMessage('Valid school ID is required'),
+  ...classValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const school = await School.findById(req.body.schoolId)
+    if (!school) return res.status(400).json({ message: 'School not found' })
+
+    const klass = new Class({
+      academicYear: await AcademicYear.currentName(school._id),
+      ...pickClassFields(req.body),
+      schoolId: school._id
+    })
+    await klass.save()
+    await recordAudit(req, { action: 'create', targetCollection: 'classes', targetId: klass._id, after: klass })
+
+    res.status(201).json(klass)
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ message: 'This class and section already exists for the academic year' })
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Update class - Super admin only; renaming updates the students' class label too
+router.put('/:id', [protect, canPerformCRUD, ...classValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const klass = await loadClass(req, res)
+    if (!klass) return
+
+    const before = klass.toObject()
+    klass.set(pickClassFields(req.body))
+    await klass.save()
+    const entries = [{ action: 'update', targetCollection: 'classes', targetId: klass._id, before, after: klass }]
+    if (klass.name !== before.name) {
+      const relabelled = await Student.find({ classId: klass._id }).distinct('_id')
+      await klass.syncStudentLabels()
+      entries.push(...relabelled.map(id => ({ action: 'bulk_update', targetCollection: 'students', targetId: id, before: { class: before.name }, after: { class: klass.name } })))
+    }
+    await recordAudit(req, entries)
+
+    res.json(klass)
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ message: 'This class and section already exists for the academic year' })
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Delete class - Super admin only; students have to be moved out first
+router.delete('/:id', protect, canPerformCRUD, async (req, res) => {
+  try {
+    const klass = await loadClass(req, res)
+    if (!klass) return
+
+    const enrolled = await Student.countDocuments({ classId: klass._id })
+    if (enrolled > 0) return res.status(400).json({ message: `Class still has ${enrolled} student(s); move them to another class first`, students: enrolled })
+
+    await klass.deleteOne()
+    await recordAudit(req, { action: 'delete', targetCollection: 'classes', targetId: klass._id, before: klass })
+    res.json({ message: 'Class deleted successfully' })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Move students into a class - Super admin only
+router.post('/:id/students', [
+  protect,
+  canPerformCRUD,
+  body('studentIds').isArray({ min: 1 }).withMessage('studentIds must be a non-empty array'),
+  body('studentIds.*').isMongoId().withMessage('Each student ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const klass = await loadClass(req, res)
+    if (!klass) return
+
+    const { studentIds } = req.body
+    const students = await Student.find({ _id: { $in: studentIds }, schoolId: klass.schoolId._id }).select('rollNumber classId class')
+    const foundIds = new Set(students.map(student => student._id.toString()))
+    const notFound = studentIds.filter(id => !foundIds.has(String(id)))
+
+    // Roll numbers stay unique within the class
+    const taken = new Set((await Student.find({ classId: klass._id }).select('rollNumber')).map(student => student.rollNumber))
+    const conflicts = []
+    const assignIds = []
+    students.filter(student => !student.classId?.equals(klass._id)).forEach(student => {
+      if (student.rollNumber && taken.has(student.rollNumber)) {
+        conflicts.push({ studentId: student._id, rollNumber: student.rollNumber })
+      } else {
+        if (student.rollNumber) taken.add(student.rollNumber)
+        assignIds.push(student._id)
+      }
+    })
+
+    const result = await Student.updateMany({ _id: { $in: assignIds } }, { $set: { classId: klass._id, class: klass.name } })
+    const moved = new Set(assignIds.map(String))
+    await recordAudit(req, students.filter(student => moved.has(student._id.toString())).map(student => ({
+      action: 'bulk_update',
+      targetCollection: 'students',
+      targetId: student._id,
+      before: { classId: student.classId, class: student.class },
+      after: { classId: klass._id, class: klass.name }
+    })))
+
+    res.json({
+      message: 'Students assigned successfully',
+      class: { _id: klass._id, name: klass.name },
+      assigned: result.modifiedCount,
+      conflicts,
+      notFound
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+export default router
@@ -2,19 +2,28 @@ import express from 'express'
 import Student from '../models/Student.js'
 import School from '../models/School.js'
 import { protect } from '../middleware/auth.js'
+import { requireSchoolFeature } from '../middleware/schoolFeatures.js'
+import { canViewSchoolData, scopeTenant } from '../middleware/roleAuth.js'
+import { classFilter } from '../utils/classes.js'
+import { applyStudentScope, applySchoolScope, schoolObjectId } from '../utils/scope.js'
 import { body, validationResult } from 'express-validator'
 import { createObjectCsvWriter as createCsvWriter } from 'csv-writer'
 import path from 'path'
-import { promises as fs } from 'fs'
+import { promises as fs, createWriteStream } from 'fs'
 import { fileURLToPath } from 'url'
+import PDFDocument from 'pdfkit'
+import moment from 'moment'
 
 const router = express.Router()
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+// Every reporting route is pinned to the caller's school; mounting scopeTenant here means a new route cannot leave it out
+router.use(protect, scopeTenant)
+
 // Export students data
 router.post('/students', [
-  protect,
+  requireSchoolFeature('hasExport'),
   body('format').isIn(['csv', 'pdf', 'json']).withMessage('Format must be csv, pdf, or json'),
   body('filters').optional().isObject(),
   body('fields').optional().isArray(),
@@ -28,7 +37,7 @@ router.post('/students', [
 
     let query = {}
     if (schoolId) query.schoolId = schoolId
-    if (filters.class) query.class = filters.class
+    if (filters.class) Object.assign(query, classFilter(filters.class))
     if (filters.gender) query['profile.gender'] = filters.gender
     if (filters.minAge || filters.maxAge) {
       query['profile.age'] = {}
@@ -41,9 +50,9 @@ router.post('/students', [
       if (filters.maxAccuracy) query['performance.accuracyPercentage'].$lte = parseInt(filters.maxAccuracy)
     }
 
-    const students = await Student.find(query)
+    const students = await Student.find(applyStudentScope(req, query))
       .populate('schoolId', 'name board')
-      .select(fields.length > 0 ? fields.join(' ') : 'name rollNumber gender class profile.age contactNumber parentName parentContact address enrollmentDate performance')
+      .select(fields.length > 0 ? ['schoolId', ...fields.map(getStudentFieldPath)].join(' ') : 'name rollNumber gender class profile.age contactNumber parentName parentContact address enrollmentDate performance')
 
     if (students.length === 0) return res.status(404).json({ message: 'No students found matching the criteria' })
 
@@ -52,16 +61,7 @@ router.post('/students', [
     if (format === 'csv') {
       const csvData = students.map(student => {
         const row = {}
-        exportFields.forEach(field => {
-          if (field === 'accuracyPercentage') row[field] = student.performance?.accuracyPercentage || 0
-          else if (field === 'lessonsCompleted') row[field] = student.performance?.lessonsCompleted || 0
-          else if (field === 'timeSpentMinutes') row[field] = student.performance?.timeSpentMinutes || 0
-          else if (field === 'xpPoints') row[field] = student.performance?.xpPoints || 0
-          else if (field === 'age') row[field] = student.profile?.age || ''
-          else if (field === 'schoolName') row[field] = student.schoolId?.name || 'N/A'
-          else if (field === 'schoolBoard') row[field] = student.schoolId?.board || 'N/A'
-          else row[field] = student[field] || 'N/A'
-        })
+        exportFields.forEach(field => { row[field] = getStudentFieldValue(student, field) })
         return row
       })
 
@@ -84,23 +84,24 @@ router.post('/students', [
     } else if (format === 'json') {
       const jsonData = students.map(student => {
         const exportStudent = {}
-        exportFields.forEach(field => {
-          if (field === 'accuracyPercentage') exportStudent[field] = student.performance?.accuracyPercentage || 0
-          else if (field === 'lessonsCompleted') exportStudent[field] = student.performance?.lessonsCompleted || 0
-          else if (field === 'timeSpentMinutes') exportStudent[field] = student.performance?.timeSpentMinutes || 0
-          else if (field === 'xpPoints') exportStudent[field] = student.performance?.xpPoints || 0
-          else if (field === 'age') exportStudent[field] = student.profile?.age || ''
-          else if (field === 'schoolName') exportStudent[field] = student.schoolId?.name || 'N/A'
-          else if (field === 'schoolBoard') exportStudent[field] = student.schoolId?.board || 'N/A'
-          else exportStudent[field] = student[field] || 'N/A'
-        })
+        exportFields.forEach(field => { exportStudent[field] = getStudentFieldValue(student, field) })
         return exportStudent
       })
 
       res.json({ format: 'json', totalStudents: jsonData.length, filters, fields: exportFields, data: jsonData })
 
     } else if (format === 'pdf') {
-      res.json({ message: 'PDF export is not yet implemented. Please use CSV or JSON format.', supportedFormats: ['csv', 'json'] })
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filename = `students_export_${timestamp}.pdf`
+      const filepath = path.join(__dirname, '../../temp', filename)
+      await fs.mkdir(path.dirname(filepath), { recursive: true })
+
+      await writeStudentsPdf(filepath, students, exportFields)
+
+      res.download(filepath, filename, (err) => {
+        if (err) console.error('Error sending file:', err)
+        fs.unlink(filepath).catch(() => {})
+      })
     }
 
   } catch (error) {
@@ -110,7 +111,8 @@ router.post('/students', [
 
 // Export schools data
 router.post('/schools', [
-  protect,
+  requireSchoolFeature('hasExport'),
+  canViewSchoolData,
   body('format').isIn(['csv', 'json']).withMessage('Format must be csv or json'),
   body('filters').optional().isObject(),
   body('fields').optional().isArray()
@@ -130,7 +132,7 @@ router.post('/schools', [
       if (filters.maxStudents) query.totalStudents.$lte = parseInt(filters.maxStudents)
     }
 
-    const schools = await School.find(query)
+    const schools = await School.find(applySchoolScope(req, query))
       .select(fields.length > 0 ? fields.join(' ') : 'name board adminContact totalStudents status createdAt address website description')
 
     if (schools.length === 0) return res.status(404).json({ message: 'No schools found matching the criteria' })
@@ -189,7 +191,8 @@ router.post('/schools', [
 
 // Export analytics data
 router.post('/analytics', [
-  protect,
+  requireSchoolFeature('hasExport'),
+  canViewSchoolData,
   body('format').isIn(['csv', 'json']).withMessage('Format must be csv or json'),
   body('type').isIn(['performance', 'engagement', 'comparative', 'overview']).withMessage('Type must be performance, engagement, comparative, or overview'),
   body('schoolId').optional().isMongoId(),
@@ -209,12 +212,12 @@ router.post('/analytics', [
       let studentQuery = {}
 
       if (schoolId) {
-        schoolQuery._id = schoolId
-        studentQuery.schoolId = schoolId
+        schoolQuery._id = schoolObjectId(schoolId)
+        studentQuery.schoolId = schoolObjectId(schoolId)
       }
 
       const schoolStats = await School.aggregate([
-        { $match: schoolQuery },
+        { $match: applySchoolScope(req, schoolQuery) },
         {
           $group: {
             _id: null,
@@ -226,7 +229,7 @@ router.post('/analytics', [
       ])
 
       const studentStats = await Student.aggregate([
-        { $match: studentQuery },
+        { $match: applyStudentScope(req, studentQuery) },
         {
           $group: {
             _id: null,
@@ -247,10 +250,10 @@ router.post('/analytics', [
     } else if (type === 'performance') {
       // Get performance analytics
       let query = {}
-      if (schoolId) query.schoolId = schoolId
+      if (schoolId) query.schoolId = schoolObjectId(schoolId)
 
       const performanceDistribution = await Student.aggregate([
-        { $match: query },
+        { $match: applyStudentScope(req, query) },
         {
           $group: {
             _id: {
@@ -280,10 +283,10 @@ router.post('/analytics', [
     } else if (type === 'engagement') {
       // Get engagement analytics
       let query = {}
-      if (schoolId) query.schoolId = schoolId
+      if (schoolId) query.schoolId = schoolObjectId(schoolId)
 
       const engagementTrends = await Student.aggregate([
-        { $match: query },
+        { $match: applyStudentScope(req, query) },
         {
           $group: {
             _id: { $dateToString: { format: '%Y-%m', date: '$enrollmentDate' } },
@@ -352,7 +355,7 @@ router.post('/analytics', [
 
 // Export leaderboard data
 router.post('/leaderboard', [
-  protect,
+  requireSchoolFeature('hasExport'),
   body('format').isIn(['csv', 'json']).withMessage('Format must be csv or json'),
   body('type').isIn(['students', 'schools', 'classes']).withMessage('Type must be students, schools, or classes'),
   body('schoolId').optional().isMongoId(),
@@ -370,7 +373,7 @@ router.post('/leaderboard', [
       let query = {}
       if (schoolId) query.schoolId = schoolId
 
-      const topStudents = await Student.find(query)
+      const topStudents = await Student.find(applyStudentScope(req, query))
         .sort({ 'performance.xpPoints': -1 })
         .limit(limit)
         .populate('schoolId', 'name board')
@@ -390,12 +393,13 @@ router.post('/leaderboard', [
 
     } else if (type === 'schools') {
       const topSchools = await School.aggregate([
-        { $match: { totalStudents: { $gte: 0 } } },
+        { $match: applySchoolScope(req, { totalStudents: { $gte: 0 } }) },
         {
           $lookup: {
             from: 'students',
             localField: '_id',
             foreignField: 'schoolId',
+            pipeline: [{ $match: { deletedAt: null } }],
             as: 'students'
           }
         },
@@ -462,6 +466,118 @@ router.post('/leaderboard', [
   }
 })
 
+// Helper function to resolve an export field on a student document
+function getStudentFieldValue(student, field) {
+  if (field === 'accuracyPercentage') return student.performance?.accuracyPercentage || 0
+  if (field === 'lessonsCompleted') return student.performance?.lessonsCompleted || 0
+  if (field === 'timeSpentMinutes') return student.performance?.timeSpentMinutes || 0
+  if (field === 'xpPoints') return student.performance?.xpPoints || 0
+  if (field === 'age') return student.profile?.age || ''
+  if (field === 'schoolName') return student.schoolId?.name || 'N/A'
+  if (field === 'schoolBoard') return student.schoolId?.board || 'N/A'
+  return student[field] || 'N/A'
+}
+
+// Helper function to map an export field to the document path it is read from
+function getStudentFieldPath(field) {
+  if (['accuracyPercentage', 'lessonsCompleted', 'timeSpentMinutes', 'xpPoints'].includes(field)) return `performance.${field}`
+  if (field === 'age') return 'profile.age'
+  if (field === 'schoolName' || field === 'schoolBoard') return 'schoolId'
+  return field
+}
+
+function formatFieldTitle(field) {
+  return field.charAt(0).toUpperCase() + field.slice(1).replace(/([A-Z])/g, ' $1')
+}
+
+function formatPdfCell(value) {
+  if (value instanceof Date) return moment(value).format('DD MMM YYYY')
+  return String(value)
+}
+
+// Helper function to render students as a paginated PDF table, one section per school
+function writeStudentsPdf(filepath, students, exportFields) {
+  return new Promise((resolve, reject) => {
+    // Wide rosters get landscape pages so columns stay readable
+    const doc = new PDFDocument({ size: 'A4', layout: exportFields.length > 6 ? 'landscape' : 'portrait', margin: 40, bufferPages: true })
+    const stream = createWriteStream(filepath)
+    stream.on('finish', resolve)
+    stream.on('error', reject)
+    doc.pipe(stream)
+
+    const left = doc.page.margins.left
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right
+    const bottom = doc.page.height - doc.page.margins.bottom - 20
+    const footerY = doc.page.height - doc.page.margins.bottom - 10
+    const columnWidth = tableWidth / exportFields.length
+    const cellPadding = 4
+
+    const groups = new Map()
+    students.forEach(student => {
+      const key = student.schoolId?._id?.toString() || 'unassigned'
+      if (!groups.has(key)) groups.set(key, { school: student.schoolId, students: [] })
+      groups.get(key).students.push(student)
+    })
+
+    const measureRow = (cells, bold = false) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8)
+      return Math.max(...cells.map(text => doc.heightOfString(text, { width: columnWidth - cellPadding * 2 }))) + cellPadding * 2
+    }
+
+    const drawRow = (cells, { bold = false, fill = null } = {}) => {
+      const rowHeight = measureRow(cells, bold)
+      const y = doc.y
+      if (fill) doc.rect(left, y, tableWidth, rowHeight).fill(fill).fillColor('black')
+      cells.forEach((text, i) => {
+        doc.text(text, left + i * columnWidth + cellPadding, y + cellPadding, { width: columnWidth - cellPadding * 2 })
+      })
+      doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).lineWidth(0.5).strokeColor('#cccccc').stroke()
+      doc.x = left
+      doc.y = y + rowHeight
+      return rowHeight
+    }
+
+    const headerCells = exportFields.map(formatFieldTitle)
+
+    const drawPageHeader = (school) => {
+      doc.font('Helvetica-Bold').fontSize(16).text(school?.name || 'Unassigned School', left, doc.page.margins.top, { width: tableWidth })
+      doc.font('Helvetica').fontSize(10).fillColor('#555555')
+        .text(`Board: ${school?.board || 'N/A'}    Generated: ${moment().format('DD MMM YYYY, HH:mm')}`, { width: tableWidth })
+        .fillColor('black')
+      doc.moveDown(0.8)
+      drawRow(headerCells, { bold: true, fill: '#eeeeee' })
+    }
+
+    let first = true
+    for (const { school, students: group } of groups.values()) {
+      if (!first) doc.addPage()
+      first = false
+      drawPageHeader(school)
+
+      group.forEach(student => {
+        const cells = exportFields.map(field => formatPdfCell(getStudentFieldValue(student, field)))
+        if (doc.y + measureRow(cells) > bottom) {
+          doc.addPage()
+          drawPageHeader(school)
+        }
+        drawRow(cells)
+      })
+    }
+
+    // Page numbers are stamped once every page exists so the total is known
+    const range = doc.bufferedPageRange()
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i)
+      // Drop the bottom margin while stamping so the footer does not spill onto a new page
+      doc.page.margins.bottom = 0
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(`Page ${i + 1} of ${range.count}`, left, footerY, { width: tableWidth, align: 'center', lineBreak: false })
+    }
+
+    doc.end()
+  })
+}
+
 // Helper function to convert analytics data to CSV format
 function convertAnalyticsToCSV(analyticsData, type) {
   if (type === 'overview') {
@@ -1,17 +1,31 @@
 import express from 'express'
+import mongoose from 'mongoose'
+import { getSystemSettings, getMaintenanceState } from '../utils/systemSettings.js'
 
 const router = express.Router()
 
 // @desc    Health check
 // @route   GET /api/health
 // @access  Public
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
+  // Report maintenance state when settings can be read; health itself never depends on it
+  let maintenance = null
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const { active, scheduled, message, startTime, endTime } = getMaintenanceState((await getSystemSettings()).maintenance)
+      maintenance = { active, scheduled, message: active || scheduled ? message : '', startTime, endTime }
+    } catch (error) {
+      console.error('Health maintenance lookup error:', error)
+    }
+  }
+
   res.status(200).json({
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development',
-    version: '1.0.0'
+    version: '1.0.0',
+    maintenance
   })
 })
 
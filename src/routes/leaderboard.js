@@ -1,35 +1,110 @@
 import express from 'express'
+import mongoose from 'mongoose'
 import Student from '../models/Student.js'
+import AcademicYear from '../models/AcademicYear.js'
 import School from '../models/School.js'
 import { protect } from '../middleware/auth.js'
+import { scopeTenant } from '../middleware/roleAuth.js'
+import { requireFeature } from '../middleware/systemSettings.js'
+import { getPeriodRanking, PERIOD_METRICS } from '../utils/performance.js'
+import { TIER_ORDER } from '../utils/achievements.js'
+import { classFilter } from '../utils/classes.js'
+import { applyStudentScope, applySchoolScope, isStudentInScope } from '../utils/scope.js'
 
 const router = express.Router()
 
+// Every reporting route is pinned to the caller's school; mounting scopeTenant here means a new route cannot leave it out
+router.use(protect, scopeTenant)
+
+// Rolling window length per leaderboard period; the previous period is the window before it.
+// A school's term board uses its real academic terms instead when they are set up.
+const PERIOD_DAYS = {
+  weekly: 7,
+  monthly: 30,
+  term: 90
+}
+
 // Get top students leaderboard
-router.get('/students/top', protect, async (req, res) => {
+router.get('/students/top', async (req, res) => {
   try {
     const { limit = 10, schoolId = '', class: className = '', period = 'all', sortBy = 'xpPoints' } = req.query
 
+    // Weekly/monthly/term boards rank what was earned inside the window, not lifetime totals
+    if (PERIOD_DAYS[period]) {
+      const now = new Date()
+      const windowMs = PERIOD_DAYS[period] * 24 * 60 * 60 * 1000
+      let currentFrom = new Date(now.getTime() - windowMs)
+      let previousFrom = new Date(currentFrom.getTime() - windowMs)
+      let previousTo = currentFrom
+      let term = null
+
+      // School staff always get their own school's board, so their terms apply without passing schoolId
+      const termSchoolId = schoolId || req.tenantSchoolId
+      const termWindow = period === 'term' && termSchoolId ? await AcademicYear.findTermWindow(termSchoolId, now) : null
+      if (termWindow) {
+        term = termWindow.term.name
+        currentFrom = termWindow.term.startDate
+        previousFrom = termWindow.previousTerm?.startDate || currentFrom
+        previousTo = termWindow.previousTerm?.endDate || currentFrom
+      }
+
+      const [current, previous] = await Promise.all([
+        getPeriodRanking({ from: currentFrom, to: now, schoolId: termSchoolId, className, scope: req.studentScope, sortBy }),
+        getPeriodRanking({ from: previousFrom, to: previousTo, schoolId: termSchoolId, className, scope: req.studentScope, sortBy })
+      ])
+
+      const previousRanks = new Map(previous.map(entry => [entry.studentId.toString(), entry]))
+      const top = current.slice(0, parseInt(limit))
+
+      const students = await Student.find({ _id: { $in: top.map(entry => entry.studentId) } })
+        .populate('schoolId', 'name board')
+        .select('name class schoolId performance rollNumber gender')
+      const studentsById = new Map(students.map(student => [student._id.toString(), student]))
+
+      const metric = PERIOD_METRICS[sortBy] || PERIOD_METRICS.xpPoints
+      const rankedStudents = top.filter(entry => studentsById.has(entry.studentId.toString())).map(entry => {
+        const student = studentsById.get(entry.studentId.toString())
+        const previousEntry = previousRanks.get(entry.studentId.toString())
+        return {
+          ...student.toObject(),
+          rank: entry.rank,
+          previousRank: previousEntry?.rank || null,
+          // Positive means the student moved up since the previous period
+          rankChange: previousEntry ? previousEntry.rank - entry.rank : null,
+          delta: {
+            xpPoints: entry.xpGained,
+            lessonsCompleted: entry.lessonsCompleted,
+            timeSpentMinutes: entry.timeSpentMinutes,
+            accuracy: entry.accuracy
+          },
+          badges: getStudentBadges(student, entry.rank),
+          score: entry[metric]
+        }
+      })
+
+      return res.json({
+        leaderboard: rankedStudents,
+        total: current.length,
+        period,
+        window: { from: currentFrom, to: now, previousFrom, previousTo, term },
+        sortBy,
+        filters: { schoolId, className }
+      })
+    }
+
     let query = {}
     if (schoolId) query.schoolId = schoolId
-    if (className) query.class = className
-
-    if (period === 'monthly') {
-      const lastMonth = new Date(); lastMonth.setMonth(lastMonth.getMonth() - 1)
-      query.enrollmentDate = { $gte: lastMonth.toISOString() }
-    } else if (period === 'weekly') {
-      const lastWeek = new Date(); lastWeek.setDate(lastWeek.getDate() - 7)
-      query.enrollmentDate = { $gte: lastWeek.toISOString() }
-    }
+    if (className) Object.assign(query, classFilter(className))
 
     let sortField = 'performance.xpPoints'
     if (sortBy === 'accuracy') sortField = 'performance.accuracyPercentage'
     else if (sortBy === 'lessons') sortField = 'performance.lessonsCompleted'
     else if (sortBy === 'timeSpent') sortField = 'performance.timeSpentMinutes'
+    else if (sortBy === 'streak') sortField = 'performance.streak'
 
     const sort = {}; sort[sortField] = -1
 
-    const topStudents = await Student.find(query)
+    const topStudents = await Student.find(applyStudentScope(req, query))
       .sort(sort)
       .limit(parseInt(limit))
       .populate('schoolId', 'name board')
@@ -44,15 +119,18 @@ router.get('/students/top', protect, async (req, res) => {
 })
 
 // Get student rank
-router.get('/students/:id/rank', protect, async (req, res) => {
+router.get('/students/:id/rank', async (req, res) => {
   try {
     const { schoolId = '', class: className = '', sortBy = 'xpPoints' } = req.query
     let query = {}
     if (schoolId) query.schoolId = schoolId
-    if (className) query.class = className
+    if (className) Object.assign(query, classFilter(className))
 
     const student = await Student.findById(req.params.id)
     if (!student) return res.status(404).json({ message: 'Student not found' })
+    if (!(await isStudentInScope(req, student._id))) return res.status(403).json({ message: 'Access denied. This student is outside the data you can view.' })
+
+    query = applyStudentScope(req, query)
 
     let sortField = 'performance.xpPoints'
     if (sortBy === 'accuracy') sortField = 'performance.accuracyPercentage'
@@ -69,11 +147,11 @@ router.get('/students/:id/rank', protect, async (req, res) => {
   }
 })
 
-// Get class leaderboard
-router.get('/classes/:className', protect, async (req, res) => {
+// Get class leaderboard - :className is a Class id or a class label
+router.get('/classes/:className', async (req, res) => {
   try {
     const { schoolId = '', sortBy = 'xpPoints', limit = 20 } = req.query
-    let query = { class: req.params.className }
+    let query = classFilter(req.params.className)
     if (schoolId) query.schoolId = schoolId
 
     let sortField = 'performance.xpPoints'
@@ -83,7 +161,7 @@ router.get('/classes/:className', protect, async (req, res) => {
 
     const sort = {}; sort[sortField] = -1
 
-    const classLeaderboard = await Student.find(query)
+    const classLeaderboard = await Student.find(applyStudentScope(req, query))
       .sort(sort)
       .limit(parseInt(limit))
       .populate('schoolId', 'name board')
@@ -98,7 +176,7 @@ router.get('/classes/:className', protect, async (req, res) => {
 })
 
 // Get school leaderboard
-router.get('/schools', protect, async (req, res) => {
+router.get('/schools', async (req, res) => {
   try {
     const { limit = 10, sortBy = 'averageAccuracy', minStudents = 0 } = req.query
 
@@ -110,8 +188,8 @@ router.get('/schools', protect, async (req, res) => {
     const sort = {}; sort[sortField] = -1
 
     const schoolLeaderboard = await School.aggregate([
-      { $match: { totalStudents: { $gte: parseInt(minStudents) } } },
-      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', as: 'students' } },
+      { $match: applySchoolScope(req, { totalStudents: { $gte: parseInt(minStudents) } }) },
+      { $lookup: { from: 'students', localField: '_id', foreignField: 'schoolId', pipeline: [{ $match: { deletedAt: null } }], as: 'students' } },
       { $addFields: { averageAccuracy: { $avg: '$students.performance.accuracyPercentage' }, totalLessons: { $sum: '$students.performance.lessonsCompleted' }, activeStudents: { $size: { $filter: { input: '$students', cond: { $gt: ['$$this.performance.lessonsCompleted', 0] } } } }, averageXP: { $avg: '$students.performance.xpPoints' } } },
       { $project: { name: 1, board: 1, totalStudents: 1, averageAccuracy: 1, totalLessons: 1, activeStudents: 1, averageXP: 1, status: 1, createdAt: 1, 'adminContact.email': 1 } },
       { $sort: sort },
@@ -127,7 +205,7 @@ router.get('/schools', protect, async (req, res) => {
 })
 
 // Get subject-wise leaderboard
-router.get('/subjects/:subject', protect, async (req, res) => {
+router.get('/subjects/:subject', async (req, res) => {
   try {
     const { schoolId = '', class: className = '', limit = 20 } = req.query
     const subject = req.params.subject.toLowerCase()
@@ -139,11 +217,11 @@ router.get('/subjects/:subject', protect, async (req, res) => {
 
     let query = {}
     if (schoolId) query.schoolId = schoolId
-    if (className) query.class = className
+    if (className) Object.assign(query, classFilter(className))
 
     const sort = {}; sort[`performance.skillAreas.${subject}`] = -1
 
-    const subjectLeaderboard = await Student.find(query)
+    const subjectLeaderboard = await Student.find(applyStudentScope(req, query))
       .sort(sort)
       .limit(parseInt(limit))
       .populate('schoolId', 'name board')
@@ -157,51 +235,46 @@ router.get('/subjects/:subject', protect, async (req, res) => {
   }
 })
 
-// Get achievements and milestones
-router.get('/achievements', protect, async (req, res) => {
+// Get earned achievements and milestones
+router.get('/achievements', requireFeature('achievements'), async (req, res) => {
   try {
-    const { schoolId = '', studentId = '' } = req.query
-    let query = {}
+    const { schoolId = '', studentId = '', tier = '' } = req.query
+
+    if (studentId && !mongoose.isValidObjectId(studentId)) return res.status(400).json({ message: 'Invalid studentId' })
+
+    let query = { 'performance.achievements.0': { $exists: true } }
     if (schoolId) query.schoolId = schoolId
     if (studentId) query._id = studentId
 
-    const students = await Student.find(query)
+    const students = await Student.find(applyStudentScope(req, query))
       .populate('schoolId', 'name')
-      .select('name class schoolId performance')
+      .select('name class schoolId performance.achievements')
 
     const achievements = []
 
     students.forEach(student => {
-      const performance = student.performance
-      if (performance.xpPoints >= 1000) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'XP Master', description: 'Reached 1000+ XP points', level: 'gold', value: performance.xpPoints })
-      } else if (performance.xpPoints >= 500) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'XP Expert', description: 'Reached 500+ XP points', level: 'silver', value: performance.xpPoints })
-      }
-      if (performance.accuracyPercentage >= 95) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'Perfect Accuracy', description: 'Achieved 95%+ accuracy', level: 'diamond', value: performance.accuracyPercentage })
-      } else if (performance.accuracyPercentage >= 90) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'High Achiever', description: 'Achieved 90%+ accuracy', level: 'gold', value: performance.accuracyPercentage })
-      }
-      if (performance.lessonsCompleted >= 100) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'Lesson Master', description: 'Completed 100+ lessons', level: 'gold', value: performance.lessonsCompleted })
-      } else if (performance.lessonsCompleted >= 50) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'Dedicated Learner', description: 'Completed 50+ lessons', level: 'silver', value: performance.lessonsCompleted })
-      }
-      if (performance.timeSpentMinutes >= 10000) {
-        achievements.push({ student: student.name, class: student.class, school: student.schoolId?.name, achievement: 'Time Master', description: 'Spent 10,000+ minutes learning', level: 'gold', value: performance.timeSpentMinutes })
-      }
+      student.performance.achievements.forEach(achievement => {
+        if (tier && achievement.tier !== tier) return
+        achievements.push({
+          studentId: student._id,
+          student: student.name,
+          class: student.class,
+          school: student.schoolId?.name,
+          achievement: achievement.name,
+          description: achievement.description,
+          level: achievement.tier,
+          earnedAt: achievement.earnedAt
+        })
+      })
     })
 
     achievements.sort((a, b) => {
-      const levelOrder = { diamond: 4, gold: 3, silver: 2, bronze: 1 }
-      if (levelOrder[a.level] !== levelOrder[b.level]) {
-        return levelOrder[b.level] - levelOrder[a.level]
-      }
-      return b.value - a.value
+      const levelDiff = (TIER_ORDER[b.level] || 0) - (TIER_ORDER[a.level] || 0)
+      if (levelDiff !== 0) return levelDiff
+      return b.earnedAt - a.earnedAt
     })
 
-    res.json({ achievements, total: achievements.length, filters: { schoolId, studentId } })
+    res.json({ achievements, total: achievements.length, filters: { schoolId, studentId, tier } })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -0,0 +1,191 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import User from '../models/User.js'
+import Student from '../models/Student.js'
+import { protect } from '../middleware/auth.js'
+import { canPerformCRUD, canViewSchoolData, requireParent } from '../middleware/roleAuth.js'
+import { enforcePasswordPolicy } from '../middleware/passwordPolicy.js'
+import { body, validationResult } from 'express-validator'
+import { inviteParent, acceptParentInvite } from '../utils/parentInvites.js'
+import { getParentVisibility } from '../utils/privacy.js'
+import { recordAudit } from '../utils/audit.js'
+
+const router = express.Router()
+
+const PARENT_FIELDS = 'name email studentIds isActive inviteToken inviteExpires lastLogin createdAt'
+
+// Read-only view of a child, limited by the school's privacy preferences (see getParentVisibility)
+const buildChildView = async (student) => {
+  const visibility = await getParentVisibility(student.schoolId?._id || student.schoolId)
+
+  const view = {
+    _id: student._id,
+    name: student.name,
+    class: student.class,
+    rollNumber: student.rollNumber,
+    school: student.schoolId?.name ? { _id: student.schoolId._id, name: student.schoolId.name } : student.schoolId,
+    status: student.status,
+    visibility
+  }
+
+  if (visibility.profile) {
+    view.profile = student.profile
+    view.contact = student.contact
+  }
+
+  if (visibility.performance) {
+    const { achievements = [], assessments, ...performance } = student.performance?.toObject() || {}
+    view.performance = performance
+    view.achievements = [...achievements].sort((a, b) => new Date(b.earnedAt) - new Date(a.earnedAt))
+    view.assessments = assessments
+  }
+
+  if (visibility.rank && student.classId) {
+    const [ahead, classSize] = await Promise.all([
+      Student.countDocuments({ classId: student.classId, status: 'active', 'performance.xpPoints': { $gt: student.performance?.xpPoints || 0 } }),
+      Student.countDocuments({ classId: student.classId, status: 'active' })
+    ])
+    view.classRank = { rank: ahead + 1, of: classSize }
+  }
+
+  return view
+}
+
+// Get parent accounts - school admins see parents of their own school's students
+router.get('/', protect, canViewSchoolData, async (req, res) => {
+  try {
+    const { studentId = '', search = '' } = req.query
+
+    let query = { role: 'parent' }
+    if (req.user.role === 'school_admin') {
+      query.studentIds = { $in: await Student.find({ schoolId: req.user.schoolId }).distinct('_id') }
+    }
+    if (studentId) {
+      if (!mongoose.isValidObjectId(studentId)) return res.status(400).json({ message: 'Invalid student ID' })
+      query = { $and: [query, { studentIds: studentId }] }
+    }
+    if (search) {
+      query = { $and: [query, { $or: [{ name: { $regex: search, $options: 'i' } }, { email: { $regex: search, $options: 'i' } }] }] }
+    }
+
+    const parents = await User.find(query)
+      .select(PARENT_FIELDS)
+      .populate('studentIds', 'name class rollNumber schoolId')
+      .sort({ name: 1 })
+
+    res.json({
+      parents: parents.map(parent => ({ ...parent.toJSON(), invitationPending: Boolean(parent.inviteToken) })),
+      total: parents.length,
+      filters: { studentId, search }
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Invite a parent for a student - Super admin only; the email defaults to the student's contact.parentEmail
+router.post('/invite', [
+  protect,
+  canPerformCRUD,
+  body('studentId').isMongoId().withMessage('Valid student ID is required'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('name').optional().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const student = await Student.findById(req.body.studentId).select('name schoolId parentName contact')
+    if (!student) return res.status(404).json({ message: 'Student not found' })
+
+    const email = req.body.email || student.contact?.parentEmail
+    if (!email) return res.status(400).json({ message: 'Student has no parent email on file; provide one' })
+    const name = req.body.name || student.contact?.parentName || student.parentName || 'Parent'
+
+    const before = await User.findOne({ email }).lean()
+    const result = await inviteParent({ student, email, name, invitedBy: req.user._id, inviterName: req.user.name })
+    const after = await User.findById(result.parentId).lean()
+    await recordAudit(req, { action: before ? 'update' : 'create', targetCollection: 'users', targetId: result.parentId, before, after })
+
+    const message = result.status === 'invited'
+      ? (result.emailSent ? 'Invitation sent successfully' : 'Invitation created, but the email could not be sent; invite again to resend it')
+      : (result.emailSent ? 'Student linked to the existing parent account' : 'Student linked to the existing parent account, but the notification email could not be sent')
+    res.status(result.status === 'invited' ? 201 : 200).json({
+      message,
+      ...result,
+      email,
+      studentId: student._id
+    })
+  } catch (error) {
+    if (error.statusCode === 400) return res.status(400).json({ message: error.message })
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Accept an invitation and choose a password - Public, the emailed token is the credential
+router.post('/invitations/:token/accept', [
+  enforcePasswordPolicy('password')
+], async (req, res) => {
+  try {
+    const parent = await acceptParentInvite(req.params.token, req.body.password)
+    if (!parent) return res.status(400).json({ message: 'Invitation is invalid or has expired', code: 'INVALID_INVITE_TOKEN' })
+
+    res.json({ message: 'Invitation accepted. Please log in with your new password.', email: parent.email })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Unlink a student from a parent - Super admin only
+router.delete('/:id/students/:studentId', protect, canPerformCRUD, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !mongoose.isValidObjectId(req.params.studentId)) {
+      return res.status(400).json({ message: 'Invalid parent or student ID' })
+    }
+
+    const before = await User.findOne({ _id: req.params.id, role: 'parent' }).lean()
+    if (!before) return res.status(404).json({ message: 'Parent not found' })
+
+    const result = await User.updateOne({ _id: before._id, role: 'parent' }, { $pull: { studentIds: req.params.studentId } })
+    if (result.matchedCount === 0) return res.status(404).json({ message: 'Parent not found' })
+    if (result.modifiedCount > 0) {
+      await recordAudit(req, { action: 'update', targetCollection: 'users', targetId: before._id, before, after: await User.findById(before._id).lean() })
+    }
+
+    res.json({ message: 'Student unlinked successfully', unlinked: result.modifiedCount > 0 })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get the signed-in parent's children
+router.get('/me/children', protect, requireParent, async (req, res) => {
+  try {
+    const children = await Student.find({ _id: { $in: req.user.studentIds || [] } })
+      .select('name class rollNumber status schoolId')
+      .populate('schoolId', 'name')
+      .sort({ name: 1 })
+
+    res.json({ children, total: children.length })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get one child's performance, achievements and assessments, as far as the school's privacy settings allow
+router.get('/me/children/:studentId', protect, requireParent, async (req, res) => {
+  try {
+    const linked = (req.user.studentIds || []).some(id => id.toString() === req.params.studentId)
+    if (!linked) return res.status(404).json({ message: 'Student not found' })
+
+    const student = await Student.findById(req.params.studentId).populate('schoolId', 'name')
+    if (!student) return res.status(404).json({ message: 'Student not found' })
+
+    res.json(await buildChildView(student))
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+export default router
@@ -1,19 +1,44 @@
 import express from 'express'
 import School from '../models/School.js'
+import Student from '../models/Student.js'
+import User from '../models/User.js'
+import Session from '../models/Session.js'
 import { protect } from '../middleware/auth.js'
-import { canPerformCRUD, canViewData, canAccessSchool } from '../middleware/roleAuth.js'
+import { canPerformCRUD, canViewData, canAccessSchool, canViewSchoolData } from '../middleware/roleAuth.js'
 import { body, validationResult } from 'express-validator'
+import { recordAudit } from '../utils/audit.js'
+import { purgeDate } from '../utils/softDelete.js'
+import { reconcileStudentCounts } from '../utils/studentCounts.js'
 
 const router = express.Router()
 
+const SCHOOL_FEATURES = Object.keys(School.schema.obj.features)
+
+// School names are unique across the trash too, so a name held by a deleted school points at its restore
+const sendSchoolError = async (res, error) => {
+  if (error.code === 11000 && error.keyValue?.name !== undefined) {
+    const trashed = await School.findOne({ name: error.keyValue.name, deletedAt: { $ne: null } }).select('_id deletedAt')
+    if (trashed) {
+      return res.status(409).json({
+        message: 'A deleted school already uses this name; restore it instead',
+        schoolId: trashed._id,
+        restore: `/api/schools/${trashed._id}/restore`,
+        purgeAt: purgeDate(trashed.deletedAt)
+      })
+    }
+    return res.status(400).json({ message: 'A school with this name already exists' })
+  }
+  res.status(500).json({ message: 'Server error', error: error.message })
+}
+
 // Get all schools (with pagination and search) - Super admin can see all, school admin only their own
 router.get('/', protect, canViewData, async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', status = '', board = '' } = req.query
     let query = {}
     
-    // School admins can only see their own school
-    if (req.user.role === 'school_admin' && req.user.schoolId) {
+    // School admins and teachers can only see their own school
+    if (['school_admin', 'teacher'].includes(req.user.role) && req.user.schoolId) {
       query._id = req.user.schoolId
     }
     
@@ -45,14 +70,40 @@ router.get('/', protect, canViewData, async (req, res) => {
   }
 })
 
+// Get deleted schools awaiting purge - Super admin only
+router.get('/trash', protect, canPerformCRUD, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search = '' } = req.query
+    const query = { deletedAt: { $ne: null } }
+    if (search) query.name = { $regex: search, $options: 'i' }
+
+    const schools = await School.find(query)
+      .populate('deletedBy', 'name email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ deletedAt: -1 })
+
+    const total = await School.countDocuments(query)
+
+    res.json({
+      schools: schools.map(school => ({ ...school.toJSON(), purgeAt: purgeDate(school.deletedAt) })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
 // Get school by ID - School admin can only see their own school
 router.get('/:id', protect, canViewData, canAccessSchool, async (req, res) => {
   try {
     const school = await School.findById(req.params.id)
     if (!school) return res.status(404).json({ message: 'School not found' })
     
-    // School admins can only see their own school
-    if (req.user.role === 'school_admin' && school._id.toString() !== req.user.schoolId.toString()) {
+    // School admins and teachers can only see their own school
+    if (req.user.role !== 'super_admin' && school._id.toString() !== req.user.schoolId.toString()) {
       return res.status(403).json({ message: 'Access denied. You can only view your own school.' })
     }
     
@@ -78,7 +129,84 @@ router.post('/', [
 
     const school = new School(req.body)
     await school.save()
+    await recordAudit(req, { action: 'create', targetCollection: 'schools', targetId: school._id, after: school })
     res.status(201).json(school)
+  } catch (error) {
+    await sendSchoolError(res, error)
+  }
+})
+
+// Toggle feature flags for many schools at once - Super admin only
+router.post('/bulk/features', [
+  protect,
+  canPerformCRUD,
+  body('schoolIds').isArray({ min: 1 }).withMessage('schoolIds must be a non-empty array'),
+  body('schoolIds.*').isMongoId().withMessage('Each school ID must be valid'),
+  body('features').isObject().withMessage('features must be an object'),
+  body('features').custom(features => Object.keys(features).length > 0 && Object.keys(features).every(key => SCHOOL_FEATURES.includes(key)))
+    .withMessage(`features may only contain: ${SCHOOL_FEATURES.join(', ')}`),
+  body('features.*').isBoolean().withMessage('Feature flags must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const { schoolIds, features } = req.body
+    const update = Object.fromEntries(Object.entries(features).map(([key, value]) => [`features.${key}`, value]))
+
+    const before = await School.find({ _id: { $in: schoolIds } }).select('features').lean()
+    const result = await School.updateMany({ _id: { $in: schoolIds } }, { $set: update })
+
+    const found = await School.find({ _id: { $in: schoolIds } }).select('features').lean()
+    const beforeById = new Map(before.map(school => [school._id.toString(), school]))
+    await recordAudit(req, found.map(school => ({
+      action: 'bulk_update',
+      targetCollection: 'schools',
+      targetId: school._id,
+      before: beforeById.get(school._id.toString()),
+      after: school
+    })))
+    const foundIds = new Set(found.map(school => school._id.toString()))
+    const notFound = schoolIds.filter(id => !foundIds.has(String(id)))
+
+    res.json({
+      message: 'School features updated successfully',
+      features,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount,
+      notFound
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Recompute totalStudents from the students collection and report the schools that had drifted - Super admin only
+router.post('/student-counts/reconcile', [
+  protect,
+  canPerformCRUD,
+  body('schoolId').optional().isMongoId().withMessage('Valid school ID is required'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const report = await reconcileStudentCounts({ schoolId: req.body.schoolId, dryRun: req.body.dryRun === true })
+    if (!report.dryRun) {
+      await recordAudit(req, report.differences.map(entry => ({
+        action: 'update',
+        targetCollection: 'schools',
+        targetId: entry.schoolId,
+        before: { totalStudents: entry.stored },
+        after: { totalStudents: entry.actual }
+      })))
+    }
+
+    res.json({
+      message: report.dryRun ? 'Student counts checked' : 'Student counts reconciled',
+      ...report
+    })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -96,34 +224,85 @@ router.put('/:id', [
     const errors = validationResult(req)
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
 
+    const before = await School.findById(req.params.id).lean()
+    if (!before) return res.status(404).json({ message: 'School not found' })
+
     const school = await School.findByIdAndUpdate(
       req.params.id,
       req.body,
       { new: true, runValidators: true }
     )
     if (!school) return res.status(404).json({ message: 'School not found' })
+    await recordAudit(req, { action: 'update', targetCollection: 'schools', targetId: school._id, before, after: school })
     res.json(school)
   } catch (error) {
-    res.status(500).json({ message: 'Server error', error: error.message })
+    await sendSchoolError(res, error)
   }
 })
 
-// Delete school - Super admin only
+// Delete school - Super admin only. The school and its students go to the trash until purged.
 router.delete('/:id', protect, canPerformCRUD, async (req, res) => {
   try {
-    const school = await School.findByIdAndDelete(req.params.id)
+    const school = await School.findById(req.params.id)
     if (!school) {
       return res.status(404).json({ message: 'School not found' })
     }
+
+    const before = school.toObject()
+    await school.softDelete(req.user._id)
+    const students = await Student.updateMany(
+      { schoolId: school._id, deletedAt: null },
+      { $set: { deletedAt: school.deletedAt, deletedBy: req.user._id, deletedWithSchool: true } }
+    )
+    // The school's admins and teachers are signed out and cannot log in while it is in the trash
+    const staffIds = await User.find({ schoolId: school._id, role: { $in: ['school_admin', 'teacher'] }, isActive: true }).distinct('_id')
+    if (staffIds.length > 0) {
+      await User.updateMany(
+        { _id: { $in: staffIds } },
+        { $set: { isActive: false, deactivatedAt: school.deletedAt, deactivatedWithSchool: true } }
+      )
+      await Session.revokeWhere({ userId: { $in: staffIds } }, 'admin', req.user._id)
+    }
+    await recordAudit(req, { action: 'delete', targetCollection: 'schools', targetId: school._id, before, after: school })
     
-    res.json({ message: 'School deleted successfully' })
+    res.json({
+      message: 'School moved to trash',
+      studentsDeleted: students.modifiedCount,
+      staffDeactivated: staffIds.length,
+      purgeAt: purgeDate(school.deletedAt)
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Restore a deleted school, with the students that were deleted along with it - Super admin only
+router.post('/:id/restore', protect, canPerformCRUD, async (req, res) => {
+  try {
+    const school = await School.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    if (!school) return res.status(404).json({ message: 'School not found in trash' })
+
+    const before = school.toObject()
+    await school.restore()
+    const students = await Student.updateMany(
+      { schoolId: school._id, deletedAt: { $ne: null }, deletedWithSchool: true },
+      { $set: { deletedAt: null, deletedBy: null, deletedWithSchool: false } }
+    )
+    // Accounts an admin had deactivated before the delete stay deactivated
+    const staff = await User.updateMany(
+      { schoolId: school._id, deactivatedWithSchool: true },
+      { $set: { isActive: true, deactivatedWithSchool: false } }
+    )
+    await recordAudit(req, { action: 'restore', targetCollection: 'schools', targetId: school._id, before, after: school })
+
+    res.json({ message: 'School restored successfully', studentsRestored: students.modifiedCount, staffReactivated: staff.modifiedCount, school })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 })
 
 // Get school statistics - Read-only for school admins
-router.get('/stats/overview', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/stats/overview', protect, canViewSchoolData, canAccessSchool, async (req, res) => {
   try {
     const stats = await School.aggregate([
       {
@@ -171,7 +350,7 @@ router.get('/stats/overview', protect, canViewData, canAccessSchool, async (req,
 })
 
 // Search schools - Read-only for school admins
-router.get('/search/advanced', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/search/advanced', protect, canViewSchoolData, canAccessSchool, async (req, res) => {
   try {
     const { 
       name, 
@@ -1,5 +1,9 @@
 import express from 'express'
 import User from '../models/User.js'
+import SystemSettings from '../models/SystemSettings.js'
+import SystemSettingsHistory from '../models/SystemSettingsHistory.js'
+import { clearSystemSettingsCache } from '../utils/systemSettings.js'
+import { DEFAULT_PRIVACY } from '../utils/privacy.js'
 import { protect } from '../middleware/auth.js'
 import { body, validationResult } from 'express-validator'
 
@@ -80,60 +84,12 @@ router.get('/system', protect, async (req, res) => {
       return res.status(403).json({ message: 'Access denied. Super admin required.' })
     }
     
-    // Default system settings
-    const defaultSystemSettings = {
-      maintenance: {
-        enabled: false,
-        message: '',
-        startTime: null,
-        endTime: null
-      },
-      features: {
-        analytics: true,
-        export: true,
-        realTime: true,
-        notifications: true,
-        leaderboard: true,
-        achievements: true
-      },
-      security: {
-        passwordPolicy: {
-          minLength: 8,
-          requireUppercase: true,
-          requireLowercase: true,
-          requireNumbers: true,
-          requireSpecialChars: false
-        },
-        sessionTimeout: 3600,
-        maxLoginAttempts: 5,
-        lockoutDuration: 900
-      },
-      limits: {
-        maxStudentsPerSchool: 10000,
-        maxSchoolsPerAccount: 100,
-        maxFileSize: 10485760, // 10MB
-        maxStoragePerSchool: 1073741824 // 1GB
-      },
-      integrations: {
-        email: {
-          provider: 'smtp',
-          enabled: true,
-          config: {}
-        },
-        sms: {
-          provider: 'twilio',
-          enabled: false,
-          config: {}
-        }
-      },
-      version: '1.0.0',
-      lastUpdated: new Date()
-    }
+    const settings = await SystemSettings.getSettings()
     
-    // In a real application, these would be stored in a separate collection
-    // For now, we'll return the default settings
     res.json({
-      settings: defaultSystemSettings,
+      settings,
+      version: settings.version,
+      lastUpdated: settings.updatedAt,
       environment: process.env.NODE_ENV || 'development',
       serverTime: new Date(),
       uptime: process.uptime()
@@ -160,7 +116,11 @@ router.put('/system', [
   body('limits.maxStudentsPerSchool').optional().isInt({ min: 100, max: 100000 }),
   body('limits.maxSchoolsPerAccount').optional().isInt({ min: 1, max: 1000 }),
   body('limits.maxFileSize').optional().isInt({ min: 1048576, max: 104857600 }),
-  body('limits.maxStoragePerSchool').optional().isInt({ min: 104857600, max: 10737418240 })
+  body('limits.maxStoragePerSchool').optional().isInt({ min: 104857600, max: 10737418240 }),
+  body('maintenance.startTime').optional({ nullable: true }).isISO8601(),
+  body('maintenance.endTime').optional({ nullable: true }).isISO8601()
+    .custom((value, { req }) => !req.body.maintenance?.startTime || new Date(value) > new Date(req.body.maintenance.startTime))
+    .withMessage('Maintenance end time must be after the start time')
 ], async (req, res) => {
   try {
     // Check if user is super admin
@@ -173,14 +133,73 @@ router.put('/system', [
       return res.status(400).json({ errors: errors.array() })
     }
     
-    // In a real application, these would be stored in a separate collection
-    // For now, we'll just validate and return success
+    const updates = flattenSettings(req.body)
+    const unknownFields = Object.keys(updates).filter(p => !SystemSettings.getSettingPath(p))
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: 'Unknown system settings', fields: unknownFields })
+    }
+    
+    const current = await SystemSettings.getSettings()
+    const changes = Object.entries(updates)
+      .map(([path, value]) => ({ path, from: current.get(path), to: SystemSettings.getSettingPath(path).cast(value) }))
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to))
+    
+    if (changes.length === 0) {
+      return res.json({ message: 'No changes to system settings', settings: current, version: current.version })
+    }
+    
+    // Only apply on top of the version we diffed against, so concurrent edits cannot be lost
+    const settings = await SystemSettings.findOneAndUpdate(
+      { _id: current._id, version: current.version },
+      { $set: { ...Object.fromEntries(changes.map(c => [c.path, c.to])), updatedBy: req.user._id }, $inc: { version: 1 } },
+      { new: true, runValidators: true }
+    )
+    if (!settings) {
+      return res.status(409).json({ message: 'System settings were changed by someone else. Please reload and try again.' })
+    }
+    
+    await SystemSettingsHistory.create({
+      version: settings.version,
+      changedBy: req.user._id,
+      changedByEmail: req.user.email,
+      changes
+    })
+    clearSystemSettingsCache()
     
     res.json({
       message: 'System settings updated successfully',
-      updatedFields: Object.keys(req.body),
-      timestamp: new Date()
+      updatedFields: changes.map(c => c.path),
+      settings,
+      version: settings.version,
+      timestamp: settings.updatedAt
     })
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get system settings change history (for super admin)
+router.get('/system/history', protect, async (req, res) => {
+  try {
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({ message: 'Access denied. Super admin required.' })
+    }
+    
+    const { page = 1, limit = 20, path: settingPath = '' } = req.query
+    const query = {}
+    if (settingPath) query['changes.path'] = settingPath
+    
+    const history = await SystemSettingsHistory.find(query)
+      .sort({ version: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .populate('changedBy', 'name email role')
+    const total = await SystemSettingsHistory.countDocuments(query)
+    
+    res.json({ history, totalPages: Math.ceil(total / limit), currentPage: parseInt(page), total })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -277,16 +296,8 @@ router.get('/privacy', protect, async (req, res) => {
       return res.status(404).json({ message: 'User not found' })
     }
     
-    const defaultPrivacy = {
-      profileVisibility: 'school',
-      performanceSharing: true,
-      leaderboardVisibility: true,
-      dataAnalytics: true,
-      thirdPartySharing: false
-    }
-    
     const userPrivacy = {
-      ...defaultPrivacy,
+      ...DEFAULT_PRIVACY,
       ...user.settings?.privacy
     }
     
@@ -335,6 +346,8 @@ router.put('/privacy', [
       }
     })
     
+    // settings is a mixed field, so nested changes have to be flagged
+    user.markModified('settings')
     user.settingsUpdatedAt = new Date()
     await user.save()
     
@@ -396,4 +409,18 @@ router.get('/timezones', protect, async (req, res) => {
   }
 })
 
+// Flatten a nested settings body into dot-paths, stopping at schema leaves (e.g. Mixed config objects)
+function flattenSettings(obj, prefix = '') {
+  return Object.entries(obj || {}).reduce((acc, [key, value]) => {
+    const pathName = prefix ? `${prefix}.${key}` : key
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+    if (isPlainObject && !SystemSettings.getSettingPath(pathName)) {
+      Object.assign(acc, flattenSettings(value, pathName))
+    } else {
+      acc[pathName] = value
+    }
+    return acc
+  }, {})
+}
+
 export default router
@@ -1,15 +1,48 @@
 import express from 'express'
 import mongoose from 'mongoose'
+import path from 'path'
+import multer from 'multer'
 import Student from '../models/Student.js'
 import School from '../models/School.js'
+import StudentYearRecord from '../models/StudentYearRecord.js'
 import { protect } from '../middleware/auth.js'
-import { canPerformCRUD, canViewData, canAccessSchool } from '../middleware/roleAuth.js'
-import { body, validationResult } from 'express-validator'
+import { canPerformCRUD, canViewData, canAccessSchool, canUpdateStudentRecords, scopeStudents } from '../middleware/roleAuth.js'
+import { body, query as validateQuery, validationResult } from 'express-validator'
+import { checkStudentLimit } from '../utils/systemSettings.js'
+import { updateStudentPerformance, getPerformanceTrends } from '../utils/performance.js'
+import { resolveTimezone } from '../utils/dates.js'
+import { importStudents, IMPORT_EXTENSIONS, IMPORT_FIELDS } from '../utils/studentImport.js'
+import { classFilter, resolveStudentClass } from '../utils/classes.js'
+import { applyStudentScope, isStudentInScope } from '../utils/scope.js'
+import { recordAudit } from '../utils/audit.js'
+import { purgeDate } from '../utils/softDelete.js'
 
 const router = express.Router()
 
-// Get all students (with pagination, filtering, and search) - Read-only for school admins
-router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
+const ASSESSMENT_FIELDS = ['classTests', 'assignments', 'attendance', 'midTerm', 'finals', 'discipline']
+
+// Spreadsheets are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()))
+})
+
+const uploadImportFile = (req, res, next) => importUpload.single('file')(req, res, (error) => {
+  if (error) return res.status(400).json({ message: `Upload failed: ${error.message}` })
+  next()
+})
+
+const parseMapping = (value) => {
+  const mapping = typeof value === 'string' ? JSON.parse(value) : value
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw new Error('mapping must be an object of { "Column header": "field" }')
+  const unknown = Object.values(mapping).filter(field => !IMPORT_FIELDS.includes(field))
+  if (unknown.length > 0) throw new Error(`mapping fields must be one of: ${IMPORT_FIELDS.join(', ')}`)
+  return mapping
+}
+
+// Get all students (with pagination, filtering, and search) - Read-only for school admins, own classes for teachers
+router.get('/', protect, canViewData, canAccessSchool, scopeStudents, async (req, res) => {
   try {
     const { page = 1, limit = 10, search = '', class: className = '', schoolId = '', gender = '', minAge = '', maxAge = '', sortBy = 'name', sortOrder = 'asc' } = req.query
 
@@ -25,7 +58,7 @@ router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
     if (search) {
       query.$or = [ { name: { $regex: search, $options: 'i' } }, { rollNumber: { $regex: search, $options: 'i' } }, { parentName: { $regex: search, $options: 'i' } } ]
     }
-    if (className) query.class = className
+    if (className) Object.assign(query, classFilter(className))
     if (gender) query['profile.gender'] = gender
     if (minAge || maxAge) {
       query['profile.age'] = {}
@@ -33,6 +66,8 @@ router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
       if (maxAge) query['profile.age'].$lte = parseInt(maxAge)
     }
 
+    query = applyStudentScope(req, query)
+
     const sort = {}; sort[sortBy] = sortOrder === 'desc' ? -1 : 1
 
     const students = await Student.find(query).limit(limit * 1).skip((page - 1) * limit).sort(sort).populate('schoolId', 'name board')
@@ -44,8 +79,35 @@ router.get('/', protect, canViewData, canAccessSchool, async (req, res) => {
   }
 })
 
+// Get deleted students awaiting purge - Super admin only
+router.get('/trash', protect, canPerformCRUD, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, search = '', schoolId = '' } = req.query
+    const query = { deletedAt: { $ne: null } }
+    if (schoolId) query.schoolId = schoolId
+    if (search) query.$or = [ { name: { $regex: search, $options: 'i' } }, { rollNumber: { $regex: search, $options: 'i' } } ]
+
+    const students = await Student.find(query)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ deletedAt: -1 })
+      .populate({ path: 'schoolId', select: 'name deletedAt', options: { withDeleted: true } })
+      .populate('deletedBy', 'name email')
+    const total = await Student.countDocuments(query)
+
+    res.json({
+      students: students.map(student => ({ ...student.toJSON(), purgeAt: purgeDate(student.deletedAt) })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
 // Get student by ID - Read-only for school admins
-router.get('/:id', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/:id', protect, canViewData, canAccessSchool, scopeStudents, async (req, res) => {
   try {
     const student = await Student.findById(req.params.id).populate('schoolId', 'name board address')
     if (!student) return res.status(404).json({ message: 'Student not found' })
@@ -54,6 +116,9 @@ router.get('/:id', protect, canViewData, canAccessSchool, async (req, res) => {
     if (req.user.role === 'school_admin' && student.schoolId.toString() !== req.user.schoolId.toString()) {
       return res.status(403).json({ message: 'Access denied. You can only view students from your own school.' })
     }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own classes.' })
+    }
     
     res.json(student)
   } catch (error) {
@@ -68,7 +133,8 @@ router.post('/', [
   body('name').notEmpty(),
   body('rollNumber').notEmpty(),
   body('gender').isIn(['male', 'female', 'other']),
-  body('class').notEmpty(),
+  body('class').if(body('classId').not().exists()).notEmpty(),
+  body('classId').optional().isMongoId(),
   body('age').optional().isInt({ min: 3, max: 25 }),
   body('schoolId').optional().isMongoId()
 ], async (req, res) => {
@@ -76,20 +142,26 @@ router.post('/', [
     const errors = validationResult(req)
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
 
-    const exists = await Student.findOne({ rollNumber: req.body.rollNumber, schoolId: req.body.schoolId, class: req.body.class })
-    if (exists) return res.status(400).json({ message: 'Student with this roll number already exists in the same class and school' })
-
     let schoolId = req.body.schoolId
     if (!schoolId && req.user?.schoolId) schoolId = req.user.schoolId
 
     const school = await School.findById(schoolId)
     if (!school) return res.status(400).json({ message: 'School not found' })
 
-    const { name, rollNumber, gender, class: className, age } = req.body
+    const assigned = await resolveStudentClass(schoolId, { classId: req.body.classId, className: req.body.class })
+
+    const exists = await Student.findOne({ rollNumber: req.body.rollNumber, schoolId, class: assigned.class, status: { $ne: 'graduated' } })
+    if (exists) return res.status(400).json({ message: 'Student with this roll number already exists in the same class and school' })
+
+    const capacity = await checkStudentLimit(schoolId)
+    if (!capacity.allowed) return res.status(400).json({ message: `School has reached the maximum of ${capacity.limit} students`, code: 'STUDENT_LIMIT_REACHED', limit: capacity.limit, current: capacity.current })
+
+    const { name, rollNumber, gender, age } = req.body
     const student = new Student({
       name,
       rollNumber,
-      class: className,
+      class: assigned.class,
+      classId: assigned.classId,
       schoolId,
       profile: { age, gender },
       contactNumber: req.body.contactNumber,
@@ -98,11 +170,12 @@ router.post('/', [
       address: req.body.address,
     })
     await student.save()
-    await School.findByIdAndUpdate(schoolId, { $inc: { totalStudents: 1 } })
+    await recordAudit(req, { action: 'create', targetCollection: 'students', targetId: student._id, after: student })
 
     const populated = await Student.findById(student._id).populate('schoolId', 'name board')
     res.status(201).json(populated)
   } catch (error) {
+    if (error.statusCode === 400) return res.status(400).json({ message: error.message })
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 })
@@ -114,24 +187,35 @@ router.put('/:id', [protect, canPerformCRUD], async (req, res) => {
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() })
     }
+
+    const before = await Student.findById(req.params.id).lean()
+    if (!before) return res.status(404).json({ message: 'Student not found' })
+
+    const update = { ...req.body }
+    if (update.classId || update.class) {
+      Object.assign(update, await resolveStudentClass(update.schoolId || before.schoolId, { classId: update.classId, className: update.class }))
+    }
     
     const student = await Student.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      update,
       { new: true, runValidators: true }
     ).populate('schoolId', 'name board')
     
     if (!student) {
       return res.status(404).json({ message: 'Student not found' })
     }
+    await recordAudit(req, { action: 'update', targetCollection: 'students', targetId: student._id, before, after: student })
     
     res.json(student)
   } catch (error) {
+    if (error.statusCode === 400) return res.status(400).json({ message: error.message })
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 })
 
-// Delete student - Super admin only
+// Delete student - Super admin only. The student goes to the trash until purged; parents keep the link
+// but no longer see the child.
 router.delete('/:id', protect, canPerformCRUD, async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
@@ -139,15 +223,37 @@ router.delete('/:id', protect, canPerformCRUD, async (req, res) => {
       return res.status(404).json({ message: 'Student not found' })
     }
     
-    // Update school's total students count
-    await School.findByIdAndUpdate(
-      student.schoolId,
-      { $inc: { totalStudents: -1 } }
-    )
-    
-    await Student.findByIdAndDelete(req.params.id)
+    const before = student.toObject()
+    await student.softDelete(req.user._id)
+    await recordAudit(req, { action: 'delete', targetCollection: 'students', targetId: student._id, before, after: student })
     
-    res.json({ message: 'Student deleted successfully' })
+    res.json({ message: 'Student moved to trash', purgeAt: purgeDate(student.deletedAt) })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Restore a deleted student - Super admin only. Students deleted with their school come back by restoring the school.
+router.post('/:id/restore', protect, canPerformCRUD, async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    if (!student) return res.status(404).json({ message: 'Student not found in trash' })
+
+    if (student.deletedWithSchool || !(await School.exists({ _id: student.schoolId }))) {
+      return res.status(400).json({ message: "The student's school is deleted; restore the school first" })
+    }
+
+    const exists = await Student.findOne({ _id: { $ne: student._id }, rollNumber: student.rollNumber, schoolId: student.schoolId, class: student.class, status: { $ne: 'graduated' } })
+    if (exists) return res.status(400).json({ message: 'Student with this roll number already exists in the same class and school' })
+
+    const capacity = await checkStudentLimit(student.schoolId)
+    if (!capacity.allowed) return res.status(400).json({ message: `School has reached the maximum of ${capacity.limit} students`, code: 'STUDENT_LIMIT_REACHED', limit: capacity.limit, current: capacity.current })
+
+    const before = student.toObject()
+    await student.restore()
+    await recordAudit(req, { action: 'restore', targetCollection: 'students', targetId: student._id, before, after: student })
+
+    res.json({ message: 'Student restored successfully', student })
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message })
   }
@@ -165,31 +271,38 @@ router.post('/bulk', protect, canPerformCRUD, async (req, res) => {
     let result
     
     switch (operation) {
-      case 'update':
+      case 'update': {
+        const before = await Student.find({ _id: { $in: studentIds } }).lean()
         result = await Student.updateMany(
           { _id: { $in: studentIds } },
           data
         )
+        const after = await Student.find({ _id: { $in: studentIds } }).lean()
+        const beforeById = new Map(before.map(student => [student._id.toString(), student]))
+        await recordAudit(req, after.map(student => ({
+          action: 'bulk_update',
+          targetCollection: 'students',
+          targetId: student._id,
+          before: beforeById.get(student._id.toString()),
+          after: student
+        })))
         break
+      }
         
       case 'delete':
-        // Get students to update school counts
         const students = await Student.find({ _id: { $in: studentIds } })
-        
-        // Group by school and update counts
-        const schoolUpdates = {}
-        students.forEach(student => {
-          if (student.schoolId) {
-            schoolUpdates[student.schoolId] = (schoolUpdates[student.schoolId] || 0) - 1
-          }
-        })
-        
-        // Update school counts
-        for (const [schoolId, change] of Object.entries(schoolUpdates)) {
-          await School.findByIdAndUpdate(schoolId, { $inc: { totalStudents: change } })
-        }
-        
-        result = await Student.deleteMany({ _id: { $in: studentIds } })
+        const deletedAt = new Date()
+        result = await Student.updateMany(
+          { _id: { $in: studentIds }, deletedAt: null },
+          { $set: { deletedAt, deletedBy: req.user._id } }
+        )
+        await recordAudit(req, students.map(student => ({
+          action: 'bulk_delete',
+          targetCollection: 'students',
+          targetId: student._id,
+          before: student,
+          after: { ...student.toObject(), deletedAt, deletedBy: req.user._id }
+        })))
         break
         
       default:
@@ -205,27 +318,106 @@ router.post('/bulk', protect, canPerformCRUD, async (req, res) => {
   }
 })
 
+// Import students from a CSV/XLSX file (multipart field "file") - Super admin only
+router.post('/import', [
+  protect,
+  canPerformCRUD,
+  uploadImportFile,
+  body('schoolId').optional().isMongoId().withMessage('Valid school ID is required'),
+  body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false').toBoolean(),
+  body('mapping').optional().custom(value => parseMapping(value)).bail().customSanitizer(value => parseMapping(value))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+    if (!req.file) return res.status(400).json({ message: `Upload a ${IMPORT_EXTENSIONS.join(' or ')} file in the "file" field` })
+
+    const schoolId = req.body.schoolId || req.user?.schoolId
+    const school = schoolId && await School.findById(schoolId)
+    if (!school) return res.status(400).json({ message: 'School not found' })
+
+    const report = await importStudents(req.file, {
+      schoolId: school._id,
+      mapping: req.body.mapping,
+      dryRun: req.body.dryRun === true
+    })
+
+    const importedIds = report.rows.filter(row => row.status === 'imported').map(row => row.studentId)
+    if (importedIds.length > 0) {
+      const created = await Student.find({ _id: { $in: importedIds } }).lean()
+      await recordAudit(req, created.map(student => ({ action: 'create', targetCollection: 'students', targetId: student._id, after: student })))
+    }
+
+    res.status(!report.dryRun && report.imported > 0 ? 201 : 200).json(report)
+  } catch (error) {
+    if (error.statusCode === 400) return res.status(400).json({ message: error.message })
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Archived year-end records, one per academic year - Read-only for school admins
+router.get('/:id/academic-records', protect, canViewData, scopeStudents, async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('name rollNumber class schoolId')
+    if (!student) return res.status(404).json({ message: 'Student not found' })
+
+    if (req.user.role === 'school_admin' && !student.schoolId.equals(req.user.schoolId)) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own school.' })
+    }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own classes.' })
+    }
+
+    const records = await StudentYearRecord.find({ studentId: student._id }).sort({ academicYear: -1 })
+    res.json({ student, records, total: records.length })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
 // Performance tracking - Read-only for school admins
-router.get('/:id/performance', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/:id/performance', [
+  protect,
+  canViewData,
+  canAccessSchool,
+  scopeStudents,
+  validateQuery('from').optional().isISO8601().withMessage('from must be a date'),
+  validateQuery('to').optional().isISO8601().withMessage('to must be a date'),
+  validateQuery('interval').optional().isIn(['daily', 'weekly']).withMessage('interval must be daily or weekly')
+], async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id)
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+    
+    const student = await Student.findById(req.params.id).populate('schoolId', 'name settings.timezone')
     if (!student) {
       return res.status(404).json({ message: 'Student not found' })
     }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only view students from your own classes.' })
+    }
+    
+    // Default to the last 30 days
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000)
+    if (from > to) {
+      return res.status(400).json({ message: 'from must be before to' })
+    }
+    
+    const trends = await getPerformanceTrends(student._id, {
+      from,
+      to,
+      interval: req.query.interval || 'daily',
+      timezone: resolveTimezone(student.schoolId?.settings?.timezone)
+    })
     
-    // Calculate performance metrics
     const performance = {
       current: student.performance,
-      trends: {
-        accuracy: student.performance.accuracyPercentage,
-        lessons: student.performance.lessonsCompleted,
-        timeSpent: student.performance.timeSpentMinutes,
-        xpPoints: student.performance.xpPoints
-      },
+      trends,
       skillBreakdown: student.performance.skillAreas,
-      overallScore: Math.round(
-        Object.values(student.performance.skillAreas).reduce((a, b) => a + b, 0) / 5
-      )
+      overallScore: student.getOverallScore()
     }
     
     res.json(performance)
@@ -234,10 +426,12 @@ router.get('/:id/performance', protect, canViewData, canAccessSchool, async (req
   }
 })
 
-// Update performance - Super admin only
+// Update performance - Super admins and class teachers
 router.put('/:id/performance', [
   protect,
-  canPerformCRUD,
+  canUpdateStudentRecords,
+  scopeStudents,
+  body('performance').isObject().withMessage('performance must be an object'),
   body('performance.accuracyPercentage').optional().isInt({ min: 0, max: 100 }),
   body('performance.lessonsCompleted').optional().isInt({ min: 0 }),
   body('performance.timeSpentMinutes').optional().isInt({ min: 0 }),
@@ -250,24 +444,73 @@ router.put('/:id/performance', [
       return res.status(400).json({ errors: errors.array() })
     }
     
-    const student = await Student.findByIdAndUpdate(
-      req.params.id,
-      { performance: req.body.performance },
-      { new: true, runValidators: true }
-    )
-    
+    const student = await Student.findById(req.params.id)
     if (!student) {
       return res.status(404).json({ message: 'Student not found' })
     }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only update students from your own classes.' })
+    }
+    
+    // Merge into the current values and keep a history entry for trends
+    const before = student.toObject()
+    await updateStudentPerformance(student, req.body.performance, { source: 'manual', recordedBy: req.user._id })
+    await recordAudit(req, { action: 'update', targetCollection: 'students', targetId: student._id, before, after: student })
     
     res.json(student.performance)
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message })
+    }
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ message: 'Student performance changed while saving; please reload and try again' })
+    }
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Update assessments - Super admins and class teachers
+router.put('/:id/assessments', [
+  protect,
+  canUpdateStudentRecords,
+  scopeStudents,
+  body('assessments').isObject().withMessage('assessments must be an object'),
+  body(['assessments.classTests', 'assessments.assignments', 'assessments.attendance', 'assessments.midTerm', 'assessments.finals'])
+    .optional().isFloat({ min: 0, max: 100 }).withMessage('Assessment scores must be between 0 and 100').toFloat(),
+  body('assessments.discipline').optional().isIn(['excellent', 'good', 'average', 'poor'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const student = await Student.findById(req.params.id)
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' })
+    }
+    if (!(await isStudentInScope(req, student._id))) {
+      return res.status(403).json({ message: 'Access denied. You can only update students from your own classes.' })
+    }
+
+    const before = student.toObject()
+    ASSESSMENT_FIELDS.forEach(field => {
+      if (req.body.assessments[field] !== undefined) student.set(`performance.assessments.${field}`, req.body.assessments[field])
+    })
+    await student.save()
+    await recordAudit(req, { action: 'update', targetCollection: 'students', targetId: student._id, before, after: student })
+
+    res.json(student.performance.assessments)
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message })
+    }
     res.status(500).json({ message: 'Server error', error: error.message })
   }
 })
 
 // Get student statistics - Read-only for school admins
-router.get('/stats/overview', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/stats/overview', protect, canViewData, canAccessSchool, scopeStudents, async (req, res) => {
   try {
     const { schoolId } = req.query
     let query = {}
@@ -281,6 +524,7 @@ router.get('/stats/overview', protect, canViewData, canAccessSchool, async (req,
       // Default to the admin's school if not provided
       query.schoolId = new mongoose.Types.ObjectId(String(req.user.schoolId))
     }
+    query = applyStudentScope(req, query)
     
     const stats = await Student.aggregate([
       { $match: query },
@@ -360,7 +604,7 @@ router.get('/stats/overview', protect, canViewData, canAccessSchool, async (req,
 })
 
 // Search students - Read-only for school admins
-router.get('/search/advanced', protect, canViewData, canAccessSchool, async (req, res) => {
+router.get('/search/advanced', protect, canViewData, canAccessSchool, scopeStudents, async (req, res) => {
   try {
     const { 
       name, 
@@ -387,7 +631,7 @@ router.get('/search/advanced', protect, canViewData, canAccessSchool, async (req
     }
     
     // Filters
-    if (className) query.class = className
+    if (className) Object.assign(query, classFilter(className))
     if (schoolId) query.schoolId = schoolId
     if (gender) query.gender = gender
     
@@ -409,7 +653,7 @@ router.get('/search/advanced', protect, canViewData, canAccessSchool, async (req
     const sort = {}
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1
     
-    const students = await Student.find(query)
+    const students = await Student.find(applyStudentScope(req, query))
       .sort(sort)
       .populate('schoolId', 'name board')
     
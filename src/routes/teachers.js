@@ -0,0 +1,184 @@
+import express from 'express'
+import mongoose from 'mongoose'
+import User from '../models/User.js'
+import Class from '../models/Class.js'
+import School from '../models/School.js'
+import Session from '../models/Session.js'
+import { protect } from '../middleware/auth.js'
+import { canPerformCRUD, canViewSchoolData } from '../middleware/roleAuth.js'
+import { enforcePasswordPolicy } from '../middleware/passwordPolicy.js'
+import { body, validationResult } from 'express-validator'
+import { recordAudit } from '../utils/audit.js'
+
+const router = express.Router()
+
+const TEACHER_FIELDS = 'name email schoolId classIds isActive lastLogin createdAt'
+
+// Classes that do not belong to the school, so they cannot be assigned to its teachers
+const findForeignClasses = async (schoolId, classIds) => {
+  const classes = await Class.find({ _id: { $in: classIds }, schoolId }).select('_id')
+  const found = new Set(classes.map(klass => klass._id.toString()))
+  return classIds.filter(id => !found.has(String(id)))
+}
+
+// School admins only see teachers of their own school
+const loadTeacher = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: 'Invalid teacher ID' })
+    return null
+  }
+  const teacher = await User.findOne({ _id: req.params.id, role: 'teacher' }).select(TEACHER_FIELDS)
+  if (!teacher || (req.user.role !== 'super_admin' && !teacher.schoolId.equals(req.user.schoolId))) {
+    res.status(404).json({ message: 'Teacher not found' })
+    return null
+  }
+  return teacher
+}
+
+// Get teachers with their classes - school admins see their own school only
+router.get('/', protect, canViewSchoolData, async (req, res) => {
+  try {
+    const { schoolId = '', search = '', active = '' } = req.query
+
+    let query = { role: 'teacher' }
+    if (req.user.role === 'school_admin') query.schoolId = req.user.schoolId
+    else if (schoolId) query.schoolId = schoolId
+    if (active) query.isActive = active === 'true'
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } }
+      ]
+    }
+
+    const teachers = await User.find(query)
+      .select(TEACHER_FIELDS)
+      .populate('schoolId', 'name')
+      .populate('classIds', 'name academicYear')
+      .sort({ name: 1 })
+
+    res.json({ teachers, total: teachers.length, filters: { schoolId, search, active } })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Get teacher by ID
+router.get('/:id', protect, canViewSchoolData, async (req, res) => {
+  try {
+    const teacher = await loadTeacher(req, res)
+    if (!teacher) return
+
+    await teacher.populate([
+      { path: 'schoolId', select: 'name board' },
+      { path: 'classIds', select: 'name grade section academicYear' }
+    ])
+    res.json(teacher)
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Create teacher account - Super admin only
+router.post('/', [
+  protect,
+  canPerformCRUD,
+  body('name').isLength({ min: 2 }).withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('schoolId').isMongoId().withMessage('Valid school ID is required'),
+  body('classIds').optional().isArray().withMessage('classIds must be an array'),
+  body('classIds.*').isMongoId().withMessage('Each class ID must be valid'),
+  enforcePasswordPolicy('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const { name, email, password, schoolId, classIds = [] } = req.body
+
+    const school = await School.findById(schoolId)
+    if (!school) return res.status(400).json({ message: 'School not found' })
+
+    const foreign = await findForeignClasses(school._id, classIds)
+    if (foreign.length > 0) return res.status(400).json({ message: 'Some classes do not belong to this school', classIds: foreign })
+
+    if (await User.exists({ email })) return res.status(400).json({ message: 'Email already registered' })
+
+    const teacher = await User.create({ name, email, password, role: 'teacher', schoolId: school._id, classIds })
+    await recordAudit(req, { action: 'create', targetCollection: 'users', targetId: teacher._id, after: teacher })
+
+    res.status(201).json({
+      _id: teacher._id,
+      name: teacher.name,
+      email: teacher.email,
+      role: teacher.role,
+      schoolId: teacher.schoolId,
+      classIds: teacher.classIds,
+      isActive: teacher.isActive
+    })
+  } catch (error) {
+    if (error.code === 11000) return res.status(400).json({ message: 'Email already registered' })
+    if (error.name === 'ValidationError') return res.status(400).json({ message: error.message })
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Replace the classes a teacher is assigned to - Super admin only
+router.put('/:id/classes', [
+  protect,
+  canPerformCRUD,
+  body('classIds').isArray().withMessage('classIds must be an array'),
+  body('classIds.*').isMongoId().withMessage('Each class ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const teacher = await loadTeacher(req, res)
+    if (!teacher) return
+
+    const classIds = [...new Set(req.body.classIds.map(String))]
+    const foreign = await findForeignClasses(teacher.schoolId, classIds)
+    if (foreign.length > 0) return res.status(400).json({ message: 'Some classes do not belong to the teacher\'s school', classIds: foreign })
+
+    // updateOne rather than save() so the password hook never runs on an unchanged password
+    await User.updateOne({ _id: teacher._id }, { $set: { classIds } })
+    const updated = await User.findById(teacher._id).select(TEACHER_FIELDS).populate('classIds', 'name academicYear')
+    await recordAudit(req, { action: 'update', targetCollection: 'users', targetId: teacher._id, before: { classIds: teacher.classIds }, after: { classIds: updated.classIds.map(klass => klass._id) } })
+
+    res.json({ message: 'Teacher classes updated successfully', teacher: updated })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+// Activate or deactivate a teacher account - Super admin only
+router.put('/:id/status', [
+  protect,
+  canPerformCRUD,
+  body('isActive').isBoolean().withMessage('isActive must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() })
+
+    const teacher = await loadTeacher(req, res)
+    if (!teacher) return
+
+    // An explicit change overrides the one made when the school went to the trash, so a restore leaves it alone
+    if (req.body.isActive) {
+      await User.updateOne({ _id: teacher._id }, { $set: { isActive: true, deactivatedWithSchool: false } })
+    } else {
+      // Sign the teacher out everywhere; tokens from before stay invalid even after reactivation
+      await User.updateOne({ _id: teacher._id }, { $set: { isActive: false, deactivatedAt: new Date(), deactivatedWithSchool: false } })
+      await Session.revokeWhere({ userId: teacher._id }, 'admin', req.user._id)
+    }
+    await recordAudit(req, { action: 'update', targetCollection: 'users', targetId: teacher._id, before: { isActive: teacher.isActive }, after: { isActive: req.body.isActive } })
+
+    res.json({ message: `Teacher ${req.body.isActive ? 'activated' : 'deactivated'} successfully`, teacherId: teacher._id, isActive: req.body.isActive })
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message })
+  }
+})
+
+export default router
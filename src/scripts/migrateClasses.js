@@ -0,0 +1,44 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import { migrateClassLabels } from '../utils/classes.js'
+
+// Load environment variables
+dotenv.config()
+
+// Usage: npm run migrate-classes -- [--dry-run] [--school=<schoolId>] [--year=2025-26]
+const args = process.argv.slice(2)
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1]
+
+const migrateClasses = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/speakgenie_admin'
+    await mongoose.connect(mongoURI)
+    console.log('📦 MongoDB Connected for class migration')
+
+    const report = await migrateClassLabels({
+      schoolId: option('school'),
+      academicYear: option('year'),
+      dryRun: args.includes('--dry-run')
+    })
+
+    console.log(`${report.dryRun ? '🔍 Dry run' : '✅ Migration complete'} for ${report.academicYear}`)
+    report.mapped.forEach(entry => console.log(`  ${entry.schoolId}: "${entry.from}" -> ${entry.to} ${entry.academicYear} (${entry.students})`))
+    console.log(`🏫 Classes created: ${report.classesCreated}`)
+    console.log(`👨‍🎓 Students linked: ${report.studentsLinked}`)
+    if (report.unmatched.length > 0) {
+      console.log('⚠️  Labels that need a manual class assignment:')
+      report.unmatched.forEach(entry => console.log(`  ${entry.schoolId}: "${entry.class}" (${entry.students})`))
+    }
+    if (report.conflicts.length > 0) {
+      console.log('⚠️  Students left unlinked because their roll number is already used in the merged class:')
+      report.conflicts.forEach(entry => console.log(`  ${entry.schoolId}: ${entry.studentId} "${entry.class}" -> ${entry.to}, roll number ${entry.rollNumber} (used by ${entry.conflictsWith})`))
+    }
+  } catch (error) {
+    console.error('❌ Class migration error:', error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+  }
+}
+
+migrateClasses()
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose'
+import dotenv from 'dotenv'
+import { reconcileStudentCounts } from '../utils/studentCounts.js'
+
+// Load environment variables
+dotenv.config()
+
+// Usage: npm run reconcile-counts -- [--dry-run] [--school=<schoolId>]
+const args = process.argv.slice(2)
+const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1]
+
+const reconcileCounts = async () => {
+  try {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/speakgenie_admin'
+    await mongoose.connect(mongoURI)
+    console.log('📦 MongoDB Connected for student count reconciliation')
+
+    const report = await reconcileStudentCounts({
+      schoolId: option('school'),
+      dryRun: args.includes('--dry-run')
+    })
+
+    console.log(`${report.dryRun ? '🔍 Dry run' : '✅ Reconciliation complete'}: ${report.checked} school(s) checked`)
+    report.differences.forEach(entry => {
+      const sign = entry.difference > 0 ? '+' : ''
+      console.log(`  ${entry.schoolId} ${entry.name}${entry.deleted ? ' (deleted)' : ''}: ${entry.stored} -> ${entry.actual} (${sign}${entry.difference})`)
+    })
+    console.log(`🏫 ${report.dryRun ? 'Counts that would change' : 'Counts corrected'}: ${report.differences.length}`)
+    if (report.failed.length > 0) {
+      console.log('⚠️  Schools that could not be updated:')
+      report.failed.forEach(entry => console.log(`  ${entry.schoolId} ${entry.name}: ${entry.error}`))
+      process.exitCode = 1
+    }
+  } catch (error) {
+    console.error('❌ Student count reconciliation error:', error)
+    process.exitCode = 1
+  } finally {
+    await mongoose.connection.close()
+  }
+}
+
+reconcileCounts()
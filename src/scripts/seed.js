@@ -3,6 +3,10 @@ import dotenv from 'dotenv'
 import User from '../models/User.js'
 import School from '../models/School.js'
 import Student from '../models/Student.js'
+import AchievementRule from '../models/AchievementRule.js'
+import Class from '../models/Class.js'
+import { awardAchievements, loadActiveRules } from '../utils/achievements.js'
+import { migrateClassLabels } from '../utils/classes.js'
 
 // Load environment variables
 dotenv.config()
@@ -24,6 +28,7 @@ const seedData = async () => {
     await User.deleteMany({})
     await School.deleteMany({})
     await Student.deleteMany({})
+    await Class.deleteMany({})
     console.log('🗑️  Cleared existing data')
 
     // Create schools
@@ -220,12 +225,24 @@ const seedData = async () => {
     ])
     console.log('👨‍🎓 Created students')
 
+    // Turn the class labels into Class documents
+    const { classesCreated } = await migrateClassLabels()
+    console.log(`🏷️  Created ${classesCreated} classes`)
+
     // Update school student counts
     for (const school of schools) {
       await school.updateStudentCount()
     }
     console.log('📊 Updated school student counts')
 
+    // Achievement rules
+    await AchievementRule.seedDefaults()
+    const rules = await loadActiveRules()
+    for (const student of students) {
+      if (awardAchievements(student, rules).length > 0) await student.save()
+    }
+    console.log('🏅 Awarded achievements')
+
     console.log('✅ Database seeded successfully!')
     console.log('\n📋 Sample Data:')
     console.log(`🏫 Schools: ${schools.length}`)
@@ -8,6 +8,11 @@ import dotenv from 'dotenv'
 import connectDB from './config/database.js'
 import { errorHandler } from './middleware/errorHandler.js'
 import { notFound } from './middleware/notFound.js'
+import { checkMaintenance, requireFeature } from './middleware/systemSettings.js'
+import { startStreakResetJob } from './jobs/streakReset.js'
+import { startTrashPurgeJob } from './jobs/trashPurge.js'
+import { ensureDefaultAchievements } from './utils/achievements.js'
+import { resolveMailTransport } from './utils/mailer.js'
 
 // Import routes
 import authRoutes from './routes/auth.js'
@@ -19,16 +24,35 @@ import settingsRoutes from './routes/settings.js'
 import exportRoutes from './routes/export.js'
 import healthRoutes from './routes/health.js'
 import adminDbRoutes from './routes/adminDb.js'
+import activitiesRoutes from './routes/activities.js'
+import achievementsRoutes from './routes/achievements.js'
+import classesRoutes from './routes/classes.js'
+import academicYearsRoutes from './routes/academicYears.js'
+import teachersRoutes from './routes/teachers.js'
+import parentsRoutes from './routes/parents.js'
+import auditRoutes from './routes/audit.js'
 
 // Load environment variables
 dotenv.config()
 
+// Refuse to start with a mail transport that would only log reset links
+resolveMailTransport()
+
 const app = express()
 const PORT = process.env.PORT || 5000
 
 // Connect to MongoDB
 connectDB()
 
+// Background jobs
+if (process.env.NODE_ENV !== 'test') {
+  startStreakResetJob()
+  startTrashPurgeJob()
+  ensureDefaultAchievements()
+    .then(result => result && console.log(`🏅 Achievements set up: ${result.created} default rule(s) added, ${result.awarded} badge(s) awarded`))
+    .catch(error => console.error('Default achievements setup error:', error))
+}
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: {
@@ -99,16 +123,26 @@ app.get('/health', (req, res) => {
   })
 })
 
+// Maintenance mode (reads the stored system settings)
+app.use('/api', checkMaintenance)
+
 // API routes
 app.use('/api/auth', authRoutes)
 app.use('/api/schools', schoolsRoutes)
 app.use('/api/students', studentsRoutes)
-app.use('/api/analytics', analyticsRoutes)
-app.use('/api/leaderboard', leaderboardRoutes)
+app.use('/api/analytics', requireFeature('analytics'), analyticsRoutes)
+app.use('/api/leaderboard', requireFeature('leaderboard'), leaderboardRoutes)
 app.use('/api/settings', settingsRoutes)
-app.use('/api/export', exportRoutes)
+app.use('/api/export', requireFeature('export'), exportRoutes)
 app.use('/api/health', healthRoutes)
 app.use('/api/admin/db', adminDbRoutes)
+app.use('/api/activities', activitiesRoutes)
+app.use('/api/achievements', requireFeature('achievements'), achievementsRoutes)
+app.use('/api/classes', classesRoutes)
+app.use('/api/academic-years', academicYearsRoutes)
+app.use('/api/teachers', teachersRoutes)
+app.use('/api/parents', parentsRoutes)
+app.use('/api/audit', auditRoutes)
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -123,7 +157,11 @@ app.get('/api', (req, res) => {
       leaderboard: '/api/leaderboard',
       settings: '/api/settings',
       export: '/api/export',
-      health: '/api/health'
+      health: '/api/health',
+      activities: '/api/activities',
+      achievements: '/api/achievements',
+      classes: '/api/classes',
+      academicYears: '/api/academic-years'
     },
     documentation: 'API documentation will be available here'
   })
@@ -0,0 +1,141 @@
+import Class from '../models/Class.js'
+import Student from '../models/Student.js'
+import StudentYearRecord from '../models/StudentYearRecord.js'
+import { snapshotPerformance } from './performance.js'
+
+// Students in this grade leave the school at rollover instead of moving up
+export const FINAL_GRADE = 12
+
+// Fresh assessments for the new year, straight from the Student schema defaults
+const defaultAssessments = () => new Student().performance.assessments.toObject()
+
+// Close `year` and move its students into `nextYear`: one grade up into the same section, the same grade
+// for hold-backs, graduated after the final grade. Each student's final performance and assessments are
+// archived before they move. Students that already moved are skipped, so an interrupted rollover can be
+// run again. Lifetime learning metrics (XP, lessons, skills) carry over; assessments start again.
+// Every write is also pushed onto `auditEntries` (recordAudit entries) for the caller to log.
+export const rolloverAcademicYear = async (year, nextYear, { holdBacks = [], dryRun = false, userId, auditEntries = [] } = {}) => {
+  const schoolId = year.schoolId
+  const heldBack = new Set(holdBacks.map(String))
+  const classes = await Class.find({ schoolId, academicYear: year.name }).sort({ grade: 1, section: 1 })
+
+  const report = {
+    dryRun,
+    from: year.name,
+    to: nextYear.name,
+    classesCreated: 0,
+    archived: 0,
+    promoted: 0,
+    heldBack: 0,
+    graduated: 0,
+    classes: [],
+    unassignedStudents: 0,
+    unknownHoldBacks: [],
+    rollNumberConflicts: []
+  }
+
+  // Next-year classes by grade and section, created on first use
+  const targets = new Map()
+  const targetClass = async (grade, source) => {
+    const key = `${grade}:${source.section}`
+    if (!targets.has(key)) {
+      let klass = await Class.findOne({ schoolId, academicYear: nextYear.name, grade, section: source.section })
+      if (!klass) {
+        report.classesCreated++
+        klass = dryRun
+          ? { _id: null, name: Class.formatName(grade, source.section) }
+          : await Class.create({ schoolId, academicYear: nextYear.name, grade, section: source.section, capacity: source.capacity })
+        if (!dryRun) auditEntries.push({ action: 'create', targetCollection: 'classes', targetId: klass._id, after: klass })
+      }
+      targets.set(key, klass)
+    }
+    return targets.get(key)
+  }
+
+  const seenHoldBacks = new Set()
+
+  for (const klass of classes) {
+    const students = await Student.find({ classId: klass._id, status: { $ne: 'graduated' } })
+    const promotedTo = klass.grade < FINAL_GRADE ? (await targetClass(klass.grade + 1, klass)).name : null
+    const summary = { classId: klass._id, from: klass.name, promotedTo, promoted: 0, heldBack: 0, graduated: 0 }
+
+    for (const student of students) {
+      const id = student._id.toString()
+      let outcome = klass.grade >= FINAL_GRADE ? 'graduated' : 'promoted'
+      if (heldBack.has(id)) {
+        outcome = 'held_back'
+        seenHoldBacks.add(id)
+      }
+
+      const target = outcome === 'graduated' ? null : await targetClass(outcome === 'held_back' ? klass.grade : klass.grade + 1, klass)
+      summary[outcome === 'held_back' ? 'heldBack' : outcome]++
+      if (dryRun) continue
+
+      const archive = {
+        schoolId,
+        classId: klass._id,
+        class: klass.name,
+        grade: klass.grade,
+        section: klass.section,
+        rollNumber: student.rollNumber,
+        performance: snapshotPerformance(student.performance),
+        assessments: student.performance.assessments?.toObject(),
+        achievementsEarned: student.performance.achievements.length,
+        outcome,
+        archivedAt: new Date(),
+        archivedBy: userId
+      }
+      const archived = await StudentYearRecord.updateOne(
+        { studentId: student._id, academicYear: year.name },
+        { $setOnInsert: archive },
+        { upsert: true }
+      )
+      if (archived.upsertedId) {
+        auditEntries.push({ action: 'create', targetCollection: 'studentyearrecords', targetId: archived.upsertedId, after: { studentId: student._id, academicYear: year.name, ...archive } })
+      }
+      report.archived++
+
+      const update = { 'performance.assessments': defaultAssessments() }
+      if (target) Object.assign(update, { classId: target._id, class: target.name })
+      else update.status = 'graduated'
+      await Student.updateOne({ _id: student._id }, { $set: update })
+
+      const previous = { classId: student.classId, class: student.class, status: student.status, performance: { assessments: student.performance.assessments?.toObject() } }
+      const { 'performance.assessments': assessments, ...moved } = update
+      auditEntries.push({ action: 'bulk_update', targetCollection: 'students', targetId: student._id, before: previous, after: { ...previous, ...moved, performance: { assessments } } })
+    }
+
+    report.promoted += summary.promoted
+    report.heldBack += summary.heldBack
+    report.graduated += summary.graduated
+    report.classes.push(summary)
+  }
+
+  report.unknownHoldBacks = [...heldBack].filter(id => !seenHoldBacks.has(id))
+  report.unassignedStudents = await Student.countDocuments({ schoolId, classId: null, status: { $ne: 'graduated' } })
+
+  if (!dryRun) {
+    // Hold-backs can land on a roll number already used in the class they repeat
+    const nextClassIds = [...targets.values()].map(klass => klass._id)
+    report.rollNumberConflicts = await Student.aggregate([
+      { $match: { classId: { $in: nextClassIds }, rollNumber: { $nin: [null, ''] } } },
+      { $group: { _id: { classId: '$classId', class: '$class', rollNumber: '$rollNumber' }, students: { $push: '$_id' }, count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } },
+      { $project: { _id: 0, classId: '$_id.classId', class: '$_id.class', rollNumber: '$_id.rollNumber', students: 1 } }
+    ])
+
+    const closing = year.toObject()
+    year.status = 'closed'
+    year.closedAt = new Date()
+    year.closedBy = userId
+    await year.save()
+    auditEntries.push({ action: 'update', targetCollection: 'academicyears', targetId: year._id, before: closing, after: year })
+
+    const opening = nextYear.toObject()
+    nextYear.status = 'active'
+    await nextYear.save()
+    auditEntries.push({ action: 'update', targetCollection: 'academicyears', targetId: nextYear._id, before: opening, after: nextYear })
+  }
+
+  return report
+}
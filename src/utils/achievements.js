@@ -0,0 +1,92 @@
+import AchievementRule from '../models/AchievementRule.js'
+import Student from '../models/Student.js'
+import SystemSettings from '../models/SystemSettings.js'
+
+export const TIER_ORDER = { diamond: 4, gold: 3, silver: 2, bronze: 1 }
+
+// Active rules, lowest threshold first so a batch awards badges in a natural order
+export const loadActiveRules = () => AchievementRule.find({ isActive: true }).sort({ threshold: 1 }).lean()
+
+export const getRuleValue = (performance, rule) => {
+  if (rule.metric === 'skillArea') return performance.skillAreas?.[rule.skill] || 0
+  return performance[rule.metric] || 0
+}
+
+const hasEarned = (achievements, rule) => achievements.some(achievement =>
+  achievement.ruleId ? achievement.ruleId.equals(rule._id) : achievement.name === rule.name
+)
+
+// Push every rule the student now meets and has not earned yet; the caller saves.
+// Badges are never taken away, even if the metric later drops (e.g. a streak reset).
+export const awardAchievements = (student, rules, earnedAt = new Date()) => {
+  const achievements = student.performance.achievements
+  const awarded = []
+
+  for (const rule of rules) {
+    if (hasEarned(achievements, rule)) continue
+    if (getRuleValue(student.performance, rule) < rule.threshold) continue
+
+    const achievement = {
+      ruleId: rule._id,
+      name: rule.name,
+      description: rule.description,
+      tier: rule.tier,
+      earnedAt
+    }
+    achievements.push(achievement)
+    awarded.push(achievement)
+  }
+
+  return awarded
+}
+
+// Award the active rules to every student matching `query` who already qualifies, e.g. after rules are added
+// or lowered. Saves are version-checked like activity batches, so neither can drop the other's changes.
+export const evaluateAchievements = async (query = {}) => {
+  const rules = await loadActiveRules()
+  let evaluated = 0
+  let awarded = 0
+
+  for await (const found of Student.find(query).cursor()) {
+    evaluated++
+    let student = found
+    for (let attempt = 1; student; attempt++) {
+      const earned = awardAchievements(student, rules)
+      if (earned.length === 0) break
+      try {
+        student.increment()
+        await student.save()
+        awarded += earned.length
+        break
+      } catch (error) {
+        if (error.name !== 'VersionError' || attempt >= 3) throw error
+        student = await Student.findById(student._id)
+      }
+    }
+  }
+
+  return { evaluated, awarded }
+}
+
+// One-time setup for databases that predate achievement rules: add the built-in rules when there are no
+// rules at all, then award the active rules to existing students. Runs at startup; the marker on the settings
+// document stops later starts (or other instances) from repeating it, so rules an admin removes stay removed.
+// Returns null when it already ran.
+export const ensureDefaultAchievements = async () => {
+  await SystemSettings.getSettings()
+  const claimed = await SystemSettings.findOneAndUpdate(
+    { key: 'global', 'migrations.achievementDefaults': null },
+    { $set: { 'migrations.achievementDefaults': new Date() } }
+  )
+  if (!claimed) return null
+
+  try {
+    const created = (await AchievementRule.countDocuments()) === 0 ? await AchievementRule.seedDefaults() : 0
+    const { awarded } = await evaluateAchievements()
+    return { created, awarded }
+  } catch (error) {
+    // Let the next start try again
+    await SystemSettings.updateOne({ key: 'global' }, { $set: { 'migrations.achievementDefaults': null } })
+    throw error
+  }
+}
@@ -0,0 +1,127 @@
+import LearningActivity from '../models/LearningActivity.js'
+import Student from '../models/Student.js'
+import PerformanceHistory from '../models/PerformanceHistory.js'
+import { snapshotPerformance, buildPerformanceChange, SKILLS } from './performance.js'
+import { localDayNumber } from './dates.js'
+import { awardAchievements, loadActiveRules } from './achievements.js'
+
+// Skill scores reflect recent work: the average of the latest attempts in that skill
+const SKILL_WINDOW = 20
+
+// How often a batch is replayed on a fresh copy of the student after losing a race to another write
+const MAX_APPLY_ATTEMPTS = 5
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+// Validate one submitted activity; returns a list of problems (empty when valid)
+export const validateActivity = (item) => {
+  const problems = []
+  if (!item || typeof item !== 'object') return ['Activity must be an object']
+
+  if (typeof item.idempotencyKey !== 'string' || !item.idempotencyKey.trim()) problems.push('idempotencyKey is required')
+  else if (item.idempotencyKey.length > 200) problems.push('idempotencyKey cannot be more than 200 characters')
+  if (!/^[a-f\d]{24}$/i.test(String(item.studentId || ''))) problems.push('studentId must be a valid ID')
+  if (!SKILLS.includes(item.skill)) problems.push(`skill must be one of: ${SKILLS.join(', ')}`)
+  if (typeof item.score !== 'number' || item.score < 0 || item.score > 100) problems.push('score must be a number between 0 and 100')
+  if (item.durationMinutes !== undefined && (typeof item.durationMinutes !== 'number' || item.durationMinutes < 0)) problems.push('durationMinutes must be a non-negative number')
+  if (item.xpEarned !== undefined && (!Number.isInteger(item.xpEarned) || item.xpEarned < 0)) problems.push('xpEarned must be a non-negative integer')
+  if (item.completedAt !== undefined) {
+    const completedAt = new Date(item.completedAt)
+    if (Number.isNaN(completedAt.getTime())) problems.push('completedAt must be a date')
+    else if (completedAt.getTime() > Date.now() + 5 * 60 * 1000) problems.push('completedAt cannot be in the future')
+  }
+
+  return problems
+}
+
+// Fold one completed lesson into the student's performance (in memory).
+// Streak days are calendar days in the school's timezone.
+const applyActivity = (performance, activity, timezone) => {
+  const lessons = performance.lessonsCompleted || 0
+
+  performance.accuracyPercentage = round2(((performance.accuracyPercentage || 0) * lessons + activity.score) / (lessons + 1))
+  performance.lessonsCompleted = lessons + 1
+  performance.timeSpentMinutes = round2((performance.timeSpentMinutes || 0) + (activity.durationMinutes || 0))
+  performance.xpPoints = (performance.xpPoints || 0) + (activity.xpEarned || 0)
+
+  // Streak counts consecutive days with at least one lesson; older, late-arriving lessons leave it alone.
+  // With no running streak, lastActivity is not a lesson day (it defaults to enrollment), so start afresh.
+  const lastActivity = performance.lastActivity
+  if (!performance.streak || !lastActivity) {
+    performance.streak = 1
+    performance.lastActivity = activity.completedAt
+  } else {
+    const dayGap = localDayNumber(activity.completedAt, timezone) - localDayNumber(lastActivity, timezone)
+    if (dayGap === 1) performance.streak += 1
+    else if (dayGap > 1) performance.streak = 1
+
+    if (activity.completedAt > lastActivity) {
+      performance.lastActivity = activity.completedAt
+    }
+  }
+
+  performance.longestStreak = Math.max(performance.longestStreak || 0, performance.streak)
+}
+
+// Fold a batch into one copy of the student and save it. The save is version-checked (increment() puts
+// __v in the update filter), so a concurrent batch that saved first makes this one fail with a VersionError
+// instead of being overwritten.
+const applyBatch = async (student, sorted, timezone) => {
+  const newIds = sorted.map(activity => activity._id)
+
+  // Recent scores per touched skill, oldest first, excluding this batch
+  const skillWindows = {}
+  for (const skill of new Set(sorted.map(activity => activity.skill))) {
+    const recent = await LearningActivity.find({ studentId: student._id, skill, _id: { $nin: newIds } })
+      .sort({ completedAt: -1 })
+      .limit(SKILL_WINDOW)
+      .select('score')
+    skillWindows[skill] = recent.map(activity => activity.score).reverse()
+  }
+
+  const rules = await loadActiveRules()
+  const history = []
+  for (const activity of sorted) {
+    const before = snapshotPerformance(student.performance)
+
+    applyActivity(student.performance, activity, timezone)
+
+    const scores = skillWindows[activity.skill]
+    scores.push(activity.score)
+    if (scores.length > SKILL_WINDOW) scores.shift()
+    student.performance.skillAreas[activity.skill] = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length)
+    awardAchievements(student, rules, activity.completedAt)
+
+    const entry = buildPerformanceChange(student, before, { source: 'activity', recordedAt: activity.completedAt })
+    if (entry) history.push(entry)
+  }
+
+  student.increment()
+  await student.save()
+  return history
+}
+
+// Apply newly stored activities to a student: update derived performance, save, and record history.
+// Totals are rebuilt from the stored student on every attempt, so batches racing for the same student
+// are all counted. Throws when the student could not be updated; the caller releases the activities then.
+export const applyActivitiesToStudent = async (student, activities, { timezone = 'UTC' } = {}) => {
+  const sorted = [...activities].sort((a, b) => a.completedAt - b.completedAt)
+
+  let history
+  for (let attempt = 1; !history; attempt++) {
+    try {
+      history = await applyBatch(student, sorted, timezone)
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_APPLY_ATTEMPTS) throw error
+      student = await Student.findById(student._id)
+      if (!student) throw error
+    }
+  }
+
+  // The totals are saved by now, so a history failure must not release the activities for a recount
+  if (history.length > 0) {
+    await PerformanceHistory.insertMany(history).catch(error => console.error('Performance history error:', error))
+  }
+
+  return student
+}
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+import AuditLog from '../models/AuditLog.js'
+
+// Never copied into the log, whatever collection they come from
+const REDACTED_FIELDS = new Set(['password', 'passwordResetToken', 'resetPasswordToken', 'inviteToken', 'refreshToken', 'apiKey'])
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = new Set(['__v', 'updatedAt'])
+const MAX_CHANGES = 200
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId) && !Buffer.isBuffer(value)
+
+const toPlain = (doc) => {
+  if (!doc) return {}
+  return typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc
+}
+
+// Flatten a document into dot paths; arrays, dates and ids are compared as whole values
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value).forEach(([key, child]) => {
+    if (IGNORED_FIELDS.has(key)) return
+    const path = prefix ? `${prefix}.${key}` : key
+    if (!REDACTED_FIELDS.has(key) && isPlainObject(child) && Object.keys(child).length > 0) flatten(child, path, out)
+    else out[path] = child
+  })
+  return out
+}
+
+const comparable = (value) => JSON.stringify(value ?? null)
+
+// Secrets are compared but never written out; the entry only records that they changed
+const logged = (path, value) => REDACTED_FIELDS.has(path.split('.').pop()) && value !== undefined ? '[redacted]' : value
+
+// Field-level differences between two versions of a document; a missing side is an empty document,
+// so creates list every field as added and deletes every field as removed
+export const diffDocuments = (before, after) => {
+  const a = flatten(toPlain(before))
+  const b = flatten(toPlain(after))
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()
+  return paths
+    .filter(path => comparable(a[path]) !== comparable(b[path]))
+    .slice(0, MAX_CHANGES)
+    .map(path => ({ path, before: logged(path, a[path]), after: logged(path, b[path]) }))
+}
+
+// Append audit entries for the current request, one per affected document. A failed write is logged and
+// swallowed: by the time it runs the change itself has already happened.
+export const recordAudit = async (req, entries) => {
+  const list = Array.isArray(entries) ? entries : [entries]
+  if (list.length === 0) return
+
+  const actor = {
+    actor: req.user?._id,
+    actorName: req.user?.name,
+    actorEmail: req.user?.email,
+    role: req.user?.role,
+    ip: req.ip,
+    method: req.method,
+    route: `${req.baseUrl}${req.route?.path || ''}`,
+    path: req.originalUrl.split('?')[0]
+  }
+
+  try {
+    await AuditLog.insertMany(list.map(({ action, targetCollection, targetId, before, after }) => ({
+      ...actor,
+      action,
+      targetCollection,
+      targetId: targetId ? String(targetId) : undefined,
+      changes: diffDocuments(before, after)
+    })))
+  } catch (error) {
+    console.error('Audit log error:', error)
+  }
+}
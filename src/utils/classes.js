@@ -0,0 +1,106 @@
+import mongoose from 'mongoose'
+import Class from '../models/Class.js'
+import AcademicYear from '../models/AcademicYear.js'
+import Student from '../models/Student.js'
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i
+
+// Filter for a `class` query parameter: a Class id, or a label that also matches its canonical form
+// ('class 8a' finds students labelled 'Class 8A')
+export const classFilter = (value) => {
+  if (OBJECT_ID_PATTERN.test(value)) return { classId: new mongoose.Types.ObjectId(value) }
+
+  const labels = new Set([value])
+  const parsed = Class.parseLabel(value)
+  if (parsed) labels.add(Class.formatName(parsed.grade, parsed.section))
+  return { class: { $in: [...labels] } }
+}
+
+// classId and display label for a student being created or moved. A bare label is linked to the
+// matching class of the school's current academic year when one exists.
+export const resolveStudentClass = async (schoolId, { classId, className }) => {
+  if (classId) {
+    const klass = await Class.findOne({ _id: classId, schoolId })
+    if (!klass) throw Object.assign(new Error('Class not found in this school'), { statusCode: 400 })
+    return { classId: klass._id, class: klass.name }
+  }
+
+  const parsed = Class.parseLabel(className)
+  if (parsed) {
+    const klass = await Class.findOne({ schoolId, academicYear: await AcademicYear.currentName(schoolId), ...parsed })
+    if (klass) return { classId: klass._id, class: klass.name }
+  }
+  return { classId: null, class: className }
+}
+
+// Create Class documents for free-text Student.class labels and link those students to them.
+// Labels that cannot be read as grade + section are reported and left alone. Without an explicit
+// academicYear, each school's current year is used. Variant labels ('Class 8', 'class 8') merge into one
+// class, so a student whose roll number is already used there (the rule POST /api/students enforces)
+// is listed in `conflicts` and keeps the old label.
+export const migrateClassLabels = async ({ schoolId, academicYear, dryRun = false } = {}) => {
+  const match = { classId: null }
+  if (schoolId) match.schoolId = new mongoose.Types.ObjectId(String(schoolId))
+
+  const labels = await Student.aggregate([
+    { $match: match },
+    { $group: { _id: { schoolId: '$schoolId', class: '$class' }, students: { $sum: 1 } } },
+    { $sort: { '_id.schoolId': 1, '_id.class': 1 } }
+  ])
+
+  const created = new Set()
+  const report = { academicYear: academicYear || 'current', dryRun, classesCreated: 0, studentsLinked: 0, mapped: [], unmatched: [], conflicts: [] }
+
+  // Roll numbers in use per target label, starting from the students already linked under it
+  const rollNumbers = new Map()
+  const takenRollNumbers = async (labelSchoolId, name) => {
+    const key = `${labelSchoolId}:${name}`
+    if (!rollNumbers.has(key)) {
+      const linked = await Student.find({ schoolId: labelSchoolId, class: name, classId: { $ne: null }, status: { $ne: 'graduated' } }).select('rollNumber')
+      rollNumbers.set(key, new Map(linked.filter(student => student.rollNumber).map(student => [student.rollNumber, student._id])))
+    }
+    return rollNumbers.get(key)
+  }
+
+  for (const { _id: { schoolId: labelSchoolId, class: label }, students } of labels) {
+    const parsed = Class.parseLabel(label)
+    if (!parsed) {
+      report.unmatched.push({ schoolId: labelSchoolId, class: label, students })
+      continue
+    }
+
+    const year = academicYear || await AcademicYear.currentName(labelSchoolId)
+    const name = Class.formatName(parsed.grade, parsed.section)
+    const key = `${labelSchoolId}:${year}:${name}`
+    let klass = await Class.findOne({ schoolId: labelSchoolId, academicYear: year, ...parsed })
+    if (!klass && !created.has(key)) {
+      created.add(key)
+      report.classesCreated++
+    }
+    if (!klass && !dryRun) klass = await Class.create({ schoolId: labelSchoolId, academicYear: year, ...parsed })
+
+    // Duplicates within one label were there before the migration; only the merge into `name` is checked
+    const taken = await takenRollNumbers(labelSchoolId, name)
+    const labelled = await Student.find({ schoolId: labelSchoolId, class: label, classId: null }).select('rollNumber status')
+    const skipped = []
+    const added = []
+    labelled.forEach(student => {
+      if (!student.rollNumber || student.status === 'graduated') return
+      if (taken.has(student.rollNumber)) {
+        skipped.push(student._id)
+        report.conflicts.push({ schoolId: labelSchoolId, class: label, to: name, rollNumber: student.rollNumber, studentId: student._id, conflictsWith: taken.get(student.rollNumber) })
+      } else {
+        added.push(student)
+      }
+    })
+    added.forEach(student => taken.set(student.rollNumber, student._id))
+
+    if (!dryRun) {
+      await Student.updateMany({ _id: { $nin: skipped }, schoolId: labelSchoolId, class: label, classId: null }, { $set: { classId: klass._id, class: klass.name } })
+    }
+    report.studentsLinked += students - skipped.length
+    report.mapped.push({ schoolId: labelSchoolId, academicYear: year, from: label, to: name, students: students - skipped.length })
+  }
+
+  return report
+}
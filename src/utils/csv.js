@@ -0,0 +1,13 @@
+// Spreadsheet apps run a cell that starts with one of these as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r']
+
+// Make a value safe to open in a spreadsheet: text that would be read as a formula gets a leading quote
+export const escapeCsvCell = (value) => {
+  if (typeof value !== 'string' || !FORMULA_PREFIXES.includes(value[0])) return value
+  return `'${value}`
+}
+
+// escapeCsvCell applied to every field of a record
+export const escapeCsvRecord = (record) => Object.fromEntries(
+  Object.entries(record).map(([key, value]) => [key, escapeCsvCell(value)])
+)
@@ -0,0 +1,50 @@
+// Return the timezone if the runtime (and MongoDB) can use it, otherwise UTC
+export const resolveTimezone = (timezone) => {
+  if (!timezone) return 'UTC'
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return timezone
+  } catch (_) {
+    return 'UTC'
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Calendar date (year, month, day) of an instant as seen in a timezone
+const localDateParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimezone(timezone),
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date))
+  const get = (type) => parseInt(parts.find(part => part.type === type).value)
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') }
+}
+
+// Day number (days since epoch) of the local calendar date, so consecutive local days differ by 1
+export const localDayNumber = (date, timezone) => {
+  const { year, month, day } = localDateParts(date, timezone)
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS)
+}
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+const timezoneOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = localDateParts(date, timezone)
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000
+}
+
+// The instant local midnight starts, `daysAgo` local days before `date`
+export const startOfLocalDay = (date, timezone, daysAgo = 0) => {
+  const { year, month, day } = localDateParts(date, timezone)
+  const midnightAsUtc = Date.UTC(year, month - 1, day - daysAgo)
+  // Apply the offset twice so a DST change between now and that midnight is picked up
+  const guess = midnightAsUtc - timezoneOffset(midnightAsUtc, timezone)
+  return new Date(midnightAsUtc - timezoneOffset(guess, timezone))
+}
@@ -0,0 +1,125 @@
+import mongoose from 'mongoose'
+
+// Credentials and token hashes: never returned, filtered on or written through the explorer
+export const PROTECTED_FIELDS = ['password', 'refreshToken', 'passwordResetToken', 'resetPasswordToken', 'inviteToken', 'tokenId']
+
+// Operators a `where` filter may use; anything else ($where, $expr, $function, ...) is refused
+const ALLOWED_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$type',
+  '$regex', '$options', '$and', '$or', '$nor', '$not', '$all', '$size', '$elemMatch'
+])
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 })
+
+const isProtectedPath = (path) => path.split('.').some(part => PROTECTED_FIELDS.includes(part))
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId)
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value?.[key], obj)
+
+// Copies plain objects and arrays, keeping ObjectIds and dates as they are
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone)
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, clone(child)]))
+  return value
+}
+
+// The Mongoose model stored in `collection`, if the app defines one
+export const modelForCollection = (collection) => mongoose.modelNames()
+  .map(name => mongoose.model(name))
+  .find(model => model.collection.collectionName === collection) || null
+
+// Projection that keeps protected fields out of explorer reads
+export const protectedProjection = () => Object.fromEntries(PROTECTED_FIELDS.map(field => [field, 0]))
+
+// Check a parsed `where` filter against the operator whitelist and protected fields, and cast it
+// through the model's schema (so `_id` strings match ObjectIds) when there is one
+export const sanitizeFilter = (filter, model) => {
+  const check = (value) => {
+    if (Array.isArray(value)) return value.forEach(check)
+    if (!isPlainObject(value)) return
+    Object.entries(value).forEach(([key, child]) => {
+      if (key.startsWith('$')) {
+        if (!ALLOWED_OPERATORS.has(key)) throw badRequest(`Query operator ${key} is not allowed`)
+      } else if (isProtectedPath(key)) {
+        throw badRequest(`Cannot filter on protected field ${key}`)
+      }
+      check(child)
+    })
+  }
+
+  if (!isPlainObject(filter)) throw badRequest('where must be a JSON object')
+  check(filter)
+  if (!model) return filter
+  try {
+    return model.find().cast(model, filter)
+  } catch (error) {
+    // A value the schema cannot take, such as { "_id": "abc" }, is the caller's mistake
+    if (error.name === 'CastError') throw badRequest(`Invalid value for ${error.path}: ${JSON.stringify(error.value)}`)
+    throw error
+  }
+}
+
+// Paths the model's schema defines, including anything beneath a Mixed field
+const isKnownPath = (schema, path) => {
+  if (['real', 'nested'].includes(schema.pathType(path))) return true
+  const parts = path.split('.')
+  return parts.some((_, i) => schema.path(parts.slice(0, i + 1).join('.'))?.instance === 'Mixed')
+}
+
+// Fields a write may set: no operators, no _id, no protected fields and, for modelled collections,
+// only paths the schema knows
+const checkWritableFields = (fields, model) => {
+  if (!isPlainObject(fields) || Object.keys(fields).length === 0) throw badRequest('Request body must be a non-empty object')
+
+  Object.keys(fields).forEach(path => {
+    if (path.startsWith('$') || path.includes('.$')) throw badRequest(`Operators are not allowed in field names (${path})`)
+    if (path === '_id') throw badRequest('_id cannot be set')
+    if (isProtectedPath(path)) throw badRequest(`Field ${path} is protected and cannot be written here`)
+    if (model && !isKnownPath(model.schema, path)) throw badRequest(`Unknown field ${path} for ${model.modelName}`)
+  })
+}
+
+// Turn a request body into the document to insert, validated and cast by the model if there is one
+export const prepareInsert = async (collection, fields) => {
+  const model = modelForCollection(collection)
+  checkWritableFields(fields, model)
+  if (!model) return fields
+
+  const doc = new model(fields)
+  if (model.schema.path('createdAt')) doc.initializeTimestamps()
+  await doc.validate()
+  return doc.toObject({ depopulate: true, virtuals: false })
+}
+
+// Turn a request body into a $set for `before`, validating the changed paths against the model if
+// there is one. Also returns the document as it will look afterwards, for previews and the audit log.
+export const prepareUpdate = async (collection, before, fields) => {
+  const model = modelForCollection(collection)
+  checkWritableFields(fields, model)
+  if (!model) return { set: fields, after: applySet(before, fields) }
+
+  const doc = model.hydrate(before)
+  doc.set(fields)
+  await doc.validate(Object.keys(fields))
+
+  const cast = doc.toObject({ depopulate: true, virtuals: false })
+  const set = Object.fromEntries(Object.keys(fields).map(path => [path, getPath(cast, path)]))
+  if (model.schema.path('updatedAt')) set.updatedAt = new Date()
+  return { set, after: applySet(before, set) }
+}
+
+// A copy of `doc` with dot-path assignments applied, as $set would leave it
+const applySet = (doc, set) => {
+  const result = clone(doc)
+  Object.entries(set).forEach(([path, value]) => {
+    const parts = path.split('.')
+    const parent = parts.slice(0, -1).reduce((obj, key) => {
+      if (!isPlainObject(obj[key]) && !Array.isArray(obj[key])) obj[key] = {}
+      return obj[key]
+    }, result)
+    parent[parts[parts.length - 1]] = value
+  })
+  return result
+}
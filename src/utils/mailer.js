@@ -0,0 +1,96 @@
+import nodemailer from 'nodemailer'
+import path from 'path'
+import { promises as fs } from 'fs'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// Transport factories, selected by MAIL_TRANSPORT. Each returns an object with send(message).
+const transportFactories = {
+  // Local development: print the message instead of sending it
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Email (console transport):', JSON.stringify(message, null, 2))
+      return { transport: 'console' }
+    }
+  }),
+
+  // Local development: write each message to the outbox directory as JSON
+  file: () => ({
+    send: async (message) => {
+      const outbox = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../temp/outbox')
+      await fs.mkdir(outbox, { recursive: true })
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const filepath = path.join(outbox, `${timestamp}_${message.to.replace(/[^\w.@-]/g, '_')}.json`)
+      await fs.writeFile(filepath, JSON.stringify(message, null, 2))
+      return { transport: 'file', path: filepath }
+    }
+  }),
+
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: parseInt(process.env.SMTP_PORT) === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message)
+        return { transport: 'smtp', messageId: info.messageId }
+      }
+    }
+  }
+}
+
+let activeTransport = null
+
+// Register (or replace) a transport, e.g. for a third-party provider or in tests
+export const registerMailTransport = (name, factory) => {
+  transportFactories[name] = factory
+  activeTransport = null
+}
+
+// console and file keep every message, reset and invitation links included, on the server instead of delivering it
+const LOCAL_TRANSPORTS = ['console', 'file']
+const LOCAL_ENVIRONMENTS = ['development', 'test']
+
+// The configured transport's name. Only development and test may fall back to (or pick) console or file;
+// anywhere else MAIL_TRANSPORT must name a real transport. Called at startup so a bad setup fails the boot.
+export const resolveMailTransport = () => {
+  const environment = process.env.NODE_ENV
+  const name = process.env.MAIL_TRANSPORT || (LOCAL_ENVIRONMENTS.includes(environment) ? 'console' : null)
+  if (!name) {
+    throw new Error(`MAIL_TRANSPORT must be set when NODE_ENV is ${environment || 'unset'}; the console fallback is for development and test`)
+  }
+  if (LOCAL_TRANSPORTS.includes(name) && !LOCAL_ENVIRONMENTS.includes(environment)) {
+    throw new Error(`The ${name} mail transport does not deliver mail and is only allowed when NODE_ENV is development or test`)
+  }
+  if (!transportFactories[name]) throw new Error(`Unknown mail transport: ${name}`)
+  return name
+}
+
+const getTransport = () => {
+  if (activeTransport) return activeTransport
+
+  activeTransport = transportFactories[resolveMailTransport()]()
+  return activeTransport
+}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+// Escape text (names, URLs) before putting it into an html body or attribute
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'SpeakGenie <no-reply@speakgenie.com>',
+    to,
+    subject,
+    text,
+    ...(html ? { html } : {})
+  }
+  return getTransport().send(message)
+}
@@ -0,0 +1,98 @@
+import crypto from 'crypto'
+import bcrypt from 'bcryptjs'
+import User from '../models/User.js'
+import { escapeHtml, sendMail } from './mailer.js'
+
+export const PARENT_INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const frontendUrl = (pathname) => {
+  const baseUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173'
+  return `${baseUrl.replace(/\/$/, '')}${pathname}`
+}
+
+// Send an invitation email; the account and link are already saved by then, so a failure is logged and
+// reported instead of thrown, and inviting again sends a fresh link
+const sendInviteMail = async (message) => {
+  try {
+    await sendMail(message)
+    return true
+  } catch (error) {
+    console.error('Parent invitation email error:', error)
+    return false
+  }
+}
+
+// Link `student` to the parent account for `email`. Active parents just get the child added; new or still
+// pending parents get a fresh invitation link by email and stay inactive until they accept it.
+// `emailSent` in the result is false when the email could not be sent.
+// Names are user input, so they are escaped in the html bodies.
+export const inviteParent = async ({ student, email, name, invitedBy, inviterName }) => {
+  const existing = await User.findOne({ email })
+  if (existing && existing.role !== 'parent') {
+    throw Object.assign(new Error('This email belongs to a staff account'), { statusCode: 400 })
+  }
+
+  const studentName = escapeHtml(student.name)
+
+  if (existing && !existing.inviteToken) {
+    await User.updateOne({ _id: existing._id }, { $addToSet: { studentIds: student._id } })
+    const emailSent = await sendInviteMail({
+      to: email,
+      subject: `${student.name} has been added to your SpeakGenie account`,
+      text: `You can now follow ${student.name}'s progress when you log in:\n${frontendUrl('/login')}`,
+      html: `<p>You can now follow ${studentName}'s progress when you <a href="${escapeHtml(frontendUrl('/login'))}">log in</a>.</p>`
+    })
+    return { status: 'linked', parentId: existing._id, emailSent }
+  }
+
+  const token = crypto.randomBytes(32).toString('hex')
+  const invite = { inviteToken: hashInviteToken(token), inviteExpires: new Date(Date.now() + PARENT_INVITE_TTL_MS), invitedBy }
+
+  let parentId = existing?._id
+  if (existing) {
+    await User.updateOne({ _id: existing._id }, { $set: invite, $addToSet: { studentIds: student._id } })
+  } else {
+    // The random password is never shared; the parent chooses one when accepting the invitation
+    const parent = await User.create({
+      name,
+      email,
+      password: crypto.randomBytes(24).toString('hex'),
+      role: 'parent',
+      isActive: false,
+      studentIds: [student._id],
+      ...invite
+    })
+    parentId = parent._id
+  }
+
+  const inviteUrl = frontendUrl(`/accept-invite/${token}`)
+  const invitation = inviterName ? `${inviterName} has invited you` : 'You have been invited'
+  const emailSent = await sendInviteMail({
+    to: email,
+    subject: `Follow ${student.name}'s progress on SpeakGenie`,
+    text: `${invitation} to a parent account for ${student.name}.\n\nOpen this link within 7 days to choose a password:\n${inviteUrl}`,
+    html: `<p>${escapeHtml(invitation)} to a parent account for ${studentName}.</p><p><a href="${escapeHtml(inviteUrl)}">Choose a password</a> (link valid for 7 days).</p>`
+  })
+
+  return { status: 'invited', parentId, expiresAt: invite.inviteExpires, emailSent }
+}
+
+// Redeem an invitation: set the parent's password and activate the account; returns the parent or null
+export const acceptParentInvite = async (token, password) => {
+  const parent = await User.findOne({ role: 'parent', inviteToken: hashInviteToken(token), inviteExpires: { $gt: new Date() } })
+  if (!parent) return null
+
+  const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12)
+  const hashed = await bcrypt.hash(password, salt)
+
+  await User.updateOne({ _id: parent._id }, {
+    password: hashed,
+    passwordChangedAt: new Date(),
+    isActive: true,
+    $unset: { inviteToken: 1, inviteExpires: 1 }
+  })
+
+  return parent
+}
@@ -0,0 +1,50 @@
+import { getSystemSettings } from './systemSettings.js'
+
+// Rules are checked in this order and reported with these messages
+const POLICY_RULES = [
+  {
+    rule: 'minLength',
+    enabled: (policy) => policy.minLength > 0,
+    test: (password, policy) => password.length >= policy.minLength,
+    message: (policy) => `Password must be at least ${policy.minLength} characters long`
+  },
+  {
+    rule: 'requireUppercase',
+    enabled: (policy) => policy.requireUppercase,
+    test: (password) => /[A-Z]/.test(password),
+    message: () => 'Password must contain at least one uppercase letter'
+  },
+  {
+    rule: 'requireLowercase',
+    enabled: (policy) => policy.requireLowercase,
+    test: (password) => /[a-z]/.test(password),
+    message: () => 'Password must contain at least one lowercase letter'
+  },
+  {
+    rule: 'requireNumbers',
+    enabled: (policy) => policy.requireNumbers,
+    test: (password) => /\d/.test(password),
+    message: () => 'Password must contain at least one number'
+  },
+  {
+    rule: 'requireSpecialChars',
+    enabled: (policy) => policy.requireSpecialChars,
+    test: (password) => /[^A-Za-z0-9]/.test(password),
+    message: () => 'Password must contain at least one special character'
+  }
+]
+
+// Get the password policy currently stored in system settings
+export const getPasswordPolicy = async () => {
+  const { security } = await getSystemSettings()
+  return security.passwordPolicy
+}
+
+// Check a password against a policy and return every rule it fails
+export const checkPassword = (password, policy) => {
+  const value = typeof password === 'string' ? password : ''
+  return POLICY_RULES
+    .filter(({ enabled }) => enabled(policy))
+    .filter(({ test }) => !test(value, policy))
+    .map(({ rule, message }) => ({ rule, message: message(policy) }))
+}
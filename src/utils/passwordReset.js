@@ -0,0 +1,81 @@
+import crypto from 'crypto'
+import bcrypt from 'bcryptjs'
+import User from '../models/User.js'
+import Admin from '../models/Admin.js'
+import SchoolAdmin from '../models/SchoolAdmin.js'
+import Session from '../models/Session.js'
+
+// Same lifetime as User.createPasswordResetToken
+const RESET_TOKEN_TTL_MS = 10 * 60 * 1000
+
+export const hashResetToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+// Issue a reset token for every account store holding this email; returns the raw token or null
+export const issuePasswordReset = async (email) => {
+  const [user, admin, schoolAdmin] = await Promise.all([
+    User.findOne({ email }),
+    Admin.findOne({ email, isDeleted: { $ne: true } }),
+    SchoolAdmin.findOne({ email, isDeleted: { $ne: true } })
+  ])
+
+  if (user && !user.isActive) return null
+  if (!user && !admin && !schoolAdmin) return null
+
+  let resetToken
+  let hashedToken
+  let expires
+  if (user) {
+    resetToken = user.createPasswordResetToken()
+    hashedToken = user.passwordResetToken
+    expires = user.passwordResetExpires
+    // updateOne rather than save() so the password hashing hook stays out of it
+    await User.updateOne({ _id: user._id }, { passwordResetToken: hashedToken, passwordResetExpires: expires })
+  } else {
+    resetToken = crypto.randomBytes(32).toString('hex')
+    hashedToken = hashResetToken(resetToken)
+    expires = new Date(Date.now() + RESET_TOKEN_TTL_MS)
+  }
+
+  // Admin and SchoolAdmin mirror the same token so any store can redeem it
+  const storeUpdate = { resetPasswordToken: hashedToken, resetPasswordExpires: expires }
+  if (admin) await Admin.updateOne({ _id: admin._id }, storeUpdate)
+  if (schoolAdmin) await SchoolAdmin.updateOne({ _id: schoolAdmin._id }, storeUpdate)
+
+  return resetToken
+}
+
+// Redeem a reset token: set the new password on every store holding the email; returns the email or null
+export const resetPasswordWithToken = async (token, password) => {
+  const hashedToken = hashResetToken(token)
+  const now = new Date()
+
+  const [user, admin, schoolAdmin] = await Promise.all([
+    User.findOne({ passwordResetToken: hashedToken, passwordResetExpires: { $gt: now } }),
+    Admin.findOne({ resetPasswordToken: hashedToken, resetPasswordExpires: { $gt: now }, isDeleted: { $ne: true } }),
+    SchoolAdmin.findOne({ resetPasswordToken: hashedToken, resetPasswordExpires: { $gt: now }, isDeleted: { $ne: true } })
+  ])
+
+  const email = user?.email || admin?.email || schoolAdmin?.email
+  if (!email) return null
+
+  // Hash once and store the same bcrypt hash everywhere, as login compares against any store
+  const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12)
+  const hashed = await bcrypt.hash(password, salt)
+
+  const userUpdate = {
+    password: hashed,
+    passwordChangedAt: now,
+    $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+  }
+  const storeUpdate = { password: hashed, $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 } }
+
+  await Promise.all([
+    User.updateOne({ email }, userUpdate),
+    Admin.updateOne({ email }, storeUpdate),
+    SchoolAdmin.updateOne({ email }, storeUpdate)
+  ])
+  // Whoever knew the old password is signed out everywhere
+  if (user) await Session.revokeWhere({ userId: user._id }, 'password_reset')
+
+  return email
+}
@@ -0,0 +1,209 @@
+import mongoose from 'mongoose'
+import PerformanceHistory from '../models/PerformanceHistory.js'
+import { awardAchievements, loadActiveRules } from './achievements.js'
+import { classFilter } from './classes.js'
+
+export const TRACKED_METRICS = ['accuracyPercentage', 'lessonsCompleted', 'timeSpentMinutes', 'xpPoints', 'streak', 'longestStreak']
+export const SKILLS = ['vocabulary', 'grammar', 'pronunciation', 'listening', 'speaking']
+
+const INTERVAL_FORMATS = {
+  daily: '%Y-%m-%d',
+  weekly: '%G-W%V'
+}
+
+// Copy the tracked performance values off a student into a plain object
+export const snapshotPerformance = (performance = {}) => ({
+  ...Object.fromEntries(TRACKED_METRICS.map(metric => [metric, performance[metric] || 0])),
+  skillAreas: Object.fromEntries(SKILLS.map(skill => [skill, performance.skillAreas?.[skill] || 0]))
+})
+
+const diffPerformance = (before, after) => {
+  const changes = {
+    ...Object.fromEntries(TRACKED_METRICS.map(metric => [metric, after[metric] - before[metric]])),
+    skillAreas: Object.fromEntries(SKILLS.map(skill => [skill, after.skillAreas[skill] - before.skillAreas[skill]]))
+  }
+  const changed = TRACKED_METRICS.some(metric => changes[metric] !== 0) || SKILLS.some(skill => changes.skillAreas[skill] !== 0)
+  return changed ? changes : null
+}
+
+// Build (without saving) a history entry for a student whose performance moved away from `before`
+export const buildPerformanceChange = (student, before, { source = 'manual', recordedBy, recordedAt } = {}) => {
+  const after = snapshotPerformance(student.performance)
+  const changes = diffPerformance(before, after)
+  if (!changes) return null
+
+  return {
+    studentId: student._id,
+    schoolId: student.schoolId?._id || student.schoolId,
+    source,
+    recordedBy,
+    ...(recordedAt ? { recordedAt } : {}),
+    performance: after,
+    changes
+  }
+}
+
+// Record a history entry for a student whose performance moved away from `before`
+export const recordPerformanceChange = async (student, before, options = {}) => {
+  const entry = buildPerformanceChange(student, before, options)
+  if (!entry) return null
+
+  return PerformanceHistory.create(entry)
+}
+
+// Flatten { skillAreas: { grammar: 80 } } into { 'skillAreas.grammar': 80 }
+const flattenUpdates = (obj, prefix = '') => Object.entries(obj || {}).reduce((acc, [key, value]) => {
+  const pathName = prefix ? `${prefix}.${key}` : key
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.assign(acc, flattenUpdates(value, pathName))
+  } else {
+    acc[pathName] = value
+  }
+  return acc
+}, {})
+
+// Merge performance updates into a student, save it and record the change in history
+export const updateStudentPerformance = async (student, updates, options = {}) => {
+  const before = snapshotPerformance(student.performance)
+
+  Object.entries(flattenUpdates(updates)).forEach(([pathName, value]) => {
+    student.set(`performance.${pathName}`, value)
+  })
+  awardAchievements(student, await loadActiveRules(), options.recordedAt)
+  // Version-checked so it neither overwrites nor is overwritten by a concurrent activity batch
+  student.increment()
+  await student.save()
+
+  await recordPerformanceChange(student, before, options)
+  return student
+}
+
+// Build daily/weekly trends for a student over a date range from the history collection
+export const getPerformanceTrends = async (studentId, { from, to, interval = 'daily', timezone = 'UTC' }) => {
+  const format = INTERVAL_FORMATS[interval] || INTERVAL_FORMATS.daily
+
+  const [result] = await PerformanceHistory.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(String(studentId)), recordedAt: { $gte: from, $lte: to } } },
+    { $sort: { recordedAt: 1 } },
+    {
+      $facet: {
+        series: [
+          {
+            $group: {
+              _id: { $dateToString: { format, date: '$recordedAt', timezone } },
+              accuracy: { $avg: '$performance.accuracyPercentage' },
+              xpGained: { $sum: '$changes.xpPoints' },
+              lessonsCompleted: { $sum: '$changes.lessonsCompleted' },
+              timeSpentMinutes: { $sum: '$changes.timeSpentMinutes' },
+              updates: { $sum: 1 }
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        skills: [
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries(SKILLS.map(skill => [`${skill}Change`, { $sum: `$changes.skillAreas.${skill}` }])),
+              ...Object.fromEntries(SKILLS.map(skill => [`${skill}End`, { $last: `$performance.skillAreas.${skill}` }]))
+            }
+          }
+        ]
+      }
+    }
+  ])
+
+  const series = result.series.map(bucket => ({
+    period: bucket._id,
+    accuracy: Math.round((bucket.accuracy || 0) * 100) / 100,
+    xpGained: bucket.xpGained,
+    lessonsCompleted: bucket.lessonsCompleted,
+    timeSpentMinutes: bucket.timeSpentMinutes,
+    updates: bucket.updates
+  }))
+
+  const skillTotals = result.skills[0]
+  const skills = SKILLS.map(skill => {
+    const change = skillTotals?.[`${skill}Change`] || 0
+    const end = skillTotals?.[`${skill}End`] || 0
+    return { skill, start: end - change, end, change }
+  })
+
+  return {
+    interval: INTERVAL_FORMATS[interval] ? interval : 'daily',
+    from,
+    to,
+    timezone,
+    series,
+    totals: {
+      xpGained: series.reduce((sum, b) => sum + b.xpGained, 0),
+      lessonsCompleted: series.reduce((sum, b) => sum + b.lessonsCompleted, 0),
+      timeSpentMinutes: series.reduce((sum, b) => sum + b.timeSpentMinutes, 0)
+    },
+    skills
+  }
+}
+
+// Leaderboard sort keys mapped to the per-period totals they rank on
+export const PERIOD_METRICS = {
+  xpPoints: 'xpGained',
+  lessons: 'lessonsCompleted',
+  timeSpent: 'timeSpentMinutes',
+  accuracy: 'accuracy'
+}
+
+const prefixKeys = (filter, prefix) => Object.fromEntries(Object.entries(filter).map(([key, value]) => [`${prefix}${key}`, value]))
+
+// Rank students by what they gained between `from` and `to`, from the history collection.
+// `scope` is a student filter such as req.studentScope.
+export const getPeriodRanking = async ({ from, to, schoolId, className, scope = {}, sortBy = 'xpPoints' }) => {
+  const match = { recordedAt: { $gte: from, $lt: to } }
+  if (schoolId) match.schoolId = new mongoose.Types.ObjectId(String(schoolId))
+
+  const pipeline = [
+    { $match: match },
+    {
+      $group: {
+        _id: '$studentId',
+        xpGained: { $sum: '$changes.xpPoints' },
+        lessonsCompleted: { $sum: '$changes.lessonsCompleted' },
+        timeSpentMinutes: { $sum: '$changes.timeSpentMinutes' },
+        accuracy: { $avg: '$performance.accuracyPercentage' }
+      }
+    }
+  ]
+
+  // History outlives trashed and purged students, so only rank students that are still on the books
+  const studentFilters = [{ 'student.0': { $exists: true } }]
+  if (className) studentFilters.push(prefixKeys(classFilter(className), 'student.'))
+  if (Object.keys(scope).length > 0) studentFilters.push(prefixKeys(scope, 'student.'))
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'students',
+        let: { studentId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$studentId'] }, deletedAt: null } },
+          { $project: { class: 1, classId: 1, schoolId: 1 } }
+        ],
+        as: 'student'
+      }
+    },
+    { $match: { $and: studentFilters } },
+    { $project: { student: 0 } }
+  )
+
+  const metric = PERIOD_METRICS[sortBy] || PERIOD_METRICS.xpPoints
+  pipeline.push({ $sort: { [metric]: -1, xpGained: -1, _id: 1 } })
+
+  const rows = await PerformanceHistory.aggregate(pipeline)
+  return rows.map((row, index) => ({
+    studentId: row._id,
+    rank: index + 1,
+    xpGained: row.xpGained,
+    lessonsCompleted: row.lessonsCompleted,
+    timeSpentMinutes: row.timeSpentMinutes,
+    accuracy: Math.round((row.accuracy || 0) * 100) / 100
+  }))
+}
@@ -0,0 +1,28 @@
+import User from '../models/User.js'
+
+// Defaults for /api/settings/privacy when a user has not changed anything
+export const DEFAULT_PRIVACY = {
+  profileVisibility: 'school',
+  performanceSharing: true,
+  leaderboardVisibility: true,
+  dataAnalytics: true,
+  thirdPartySharing: false
+}
+
+// What parents of a school's students may see, from the privacy preferences of the school's admins.
+// With several admins the most restrictive preference wins.
+//   profileVisibility 'private' -> only name and class, no profile or contact details
+//   performanceSharing false    -> no performance, achievements or assessments
+//   leaderboardVisibility false -> no class rank
+export const getParentVisibility = async (schoolId) => {
+  const admins = await User.find({ role: 'school_admin', schoolId }).select('settings')
+  const preferences = admins.length > 0
+    ? admins.map(admin => ({ ...DEFAULT_PRIVACY, ...admin.settings?.privacy }))
+    : [DEFAULT_PRIVACY]
+
+  return {
+    profile: preferences.every(privacy => privacy.profileVisibility !== 'private'),
+    performance: preferences.every(privacy => privacy.performanceSharing !== false),
+    rank: preferences.every(privacy => privacy.leaderboardVisibility !== false)
+  }
+}
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose'
+import Student from '../models/Student.js'
+
+// Combine a route's student query with req.studentScope (set by scopeStudents) so neither overwrites the other
+export const applyStudentScope = (req, query = {}) => {
+  const scope = req.studentScope || {}
+  if (Object.keys(scope).length === 0) return query
+  if (Object.keys(query).length === 0) return { ...scope }
+  return { $and: [query, scope] }
+}
+
+// Combine a query on the schools collection with the caller's tenant (set by scopeTenant)
+export const applySchoolScope = (req, query = {}) => {
+  if (!req.tenantSchoolId) return query
+  if (Object.keys(query).length === 0) return { _id: req.tenantSchoolId }
+  return { $and: [query, { _id: req.tenantSchoolId }] }
+}
+
+// schoolId parameter as an ObjectId; aggregation pipelines do not cast strings the way find() does
+export const schoolObjectId = (schoolId) => schoolId ? new mongoose.Types.ObjectId(String(schoolId)) : null
+
+// Whether the student with this ID is inside req.studentScope
+export const isStudentInScope = async (req, studentId) => {
+  if (Object.keys(req.studentScope || {}).length === 0) return true
+  return Boolean(await Student.exists(applyStudentScope(req, { _id: studentId })))
+}
@@ -0,0 +1,67 @@
+import jwt from 'jsonwebtoken'
+import Session from '../models/Session.js'
+import User from '../models/User.js'
+
+const tokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000)
+
+const refreshError = (message, code) => Object.assign(new Error(message), { statusCode: 401, code })
+
+const clientInfo = (req) => {
+  const userAgent = req?.get('user-agent') || ''
+  return { userAgent, device: Session.describeDevice(userAgent), ip: req?.ip }
+}
+
+// Sign a user in on a new device: a new session (token family) with its first access and refresh token.
+// A user can hold any number of sessions, one per device.
+export const startSession = async (user, req) => {
+  const session = new Session({ userId: user._id, tokenId: Session.newTokenId(), expiresAt: new Date(), ...clientInfo(req) })
+  const refreshToken = user.getRefreshToken(session)
+  session.expiresAt = tokenExpiry(refreshToken)
+  await session.save()
+
+  return { token: user.getSignedJwtToken(session), refreshToken, session }
+}
+
+// Trade a refresh token for a new access and refresh token. The presented token is spent: presenting it
+// again means someone else holds a copy, so the whole session is revoked and both parties have to log in.
+export const rotateSession = async (refreshToken, req) => {
+  let decoded
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET)
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw refreshError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED')
+    throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+  }
+  // Refresh tokens issued before sessions existed carry no family
+  if (!decoded.sid || !decoded.jti) throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+
+  const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id })
+  if (!session || session.revokedAt) throw refreshError('Session has been signed out', 'SESSION_REVOKED')
+
+  const user = await User.findById(decoded.id)
+  if (!user) throw refreshError('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+  if (!user.isActive) throw refreshError('Account is deactivated', 'ACCOUNT_DEACTIVATED')
+
+  // Only one request can move the family on from this token id, so concurrent reuse is caught too
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenId: decoded.jti, revokedAt: null },
+    { $set: { tokenId: Session.newTokenId(), lastUsedAt: new Date(), ...(req?.ip ? { ip: req.ip } : {}) }, $inc: { rotations: 1 } },
+    { new: true }
+  )
+  if (!rotated) {
+    await Session.revokeWhere({ _id: session._id }, 'reuse_detected')
+    throw refreshError('Refresh token was already used; the session has been signed out', 'REFRESH_TOKEN_REUSED')
+  }
+
+  const nextRefreshToken = user.getRefreshToken(rotated)
+  rotated.expiresAt = tokenExpiry(nextRefreshToken)
+  await Session.updateOne({ _id: rotated._id }, { $set: { expiresAt: rotated.expiresAt } })
+
+  return { token: user.getSignedJwtToken(rotated), refreshToken: nextRefreshToken, session: rotated }
+}
+
+// Whether an access token's session is still signed in; tokens without a session predate sessions
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return true
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }))
+}
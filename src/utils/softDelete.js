@@ -0,0 +1,57 @@
+import mongoose from 'mongoose'
+
+const DEFAULT_RETENTION_DAYS = 30
+
+// Query operations that skip deleted documents unless the filter says otherwise
+const FILTERED_QUERIES = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany']
+
+// Stages that must stay first in an aggregation pipeline
+const LEADING_STAGES = ['$geoNear', '$search', '$searchMeta']
+
+// How long deleted records stay in the trash before the purge job removes them (TRASH_RETENTION_DAYS)
+export const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS
+
+// When a record deleted at `deletedAt` will be purged
+export const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000)
+
+// Soft delete for a schema: deletedAt/deletedBy fields, softDelete()/restore() methods, and queries and
+// aggregations that leave deleted documents out. Anything that filters on deletedAt itself (the trash,
+// restore, purge) sees them, as does a query with setOptions({ withDeleted: true }).
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  })
+  schema.index({ deletedAt: 1 })
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return
+    this.where({ deletedAt: null })
+  })
+
+  schema.pre('aggregate', function() {
+    const pipeline = this.pipeline()
+    const at = LEADING_STAGES.some(stage => pipeline[0]?.[stage]) ? 1 : 0
+    if (pipeline[at]?.$match && 'deletedAt' in pipeline[at].$match) return
+    pipeline.splice(at, 0, { $match: { deletedAt: null } })
+  })
+
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date()
+    this.deletedBy = userId
+    return this.save({ validateBeforeSave: false })
+  }
+
+  schema.methods.restore = function() {
+    this.deletedAt = null
+    this.deletedBy = null
+    return this.save({ validateBeforeSave: false })
+  }
+}
@@ -0,0 +1,26 @@
+import School from '../models/School.js'
+import Student from '../models/Student.js'
+
+// Recompute totalStudents for every school (or just `schoolId`) with School#updateStudentCount and report
+// the schools whose stored count had drifted. With dryRun the counts are compared but not saved.
+export const reconcileStudentCounts = async ({ schoolId, dryRun = false } = {}) => {
+  const schools = await School.find(schoolId ? { _id: schoolId } : {}).setOptions({ withDeleted: true }).sort({ name: 1 })
+  const differences = []
+  const failed = []
+
+  for (const school of schools) {
+    const stored = school.totalStudents || 0
+    try {
+      const actual = dryRun
+        ? await Student.countDocuments({ schoolId: school._id })
+        : (await school.updateStudentCount()).totalStudents
+      if (actual !== stored) {
+        differences.push({ schoolId: school._id, name: school.name, deleted: Boolean(school.deletedAt), stored, actual, difference: actual - stored })
+      }
+    } catch (error) {
+      failed.push({ schoolId: school._id, name: school.name, error: error.message })
+    }
+  }
+
+  return { dryRun, checked: schools.length, corrected: dryRun ? 0 : differences.length, differences, failed }
+}
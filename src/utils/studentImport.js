@@ -0,0 +1,225 @@
+import path from 'path'
+import { parse } from 'csv-parse/sync'
+import ExcelJS from 'exceljs'
+import Student from '../models/Student.js'
+import School from '../models/School.js'
+import Class from '../models/Class.js'
+import AcademicYear from '../models/AcademicYear.js'
+import { checkStudentLimit } from './systemSettings.js'
+
+export const MAX_IMPORT_ROWS = 2000
+export const IMPORT_EXTENSIONS = ['.csv', '.xlsx']
+
+// Header spellings seen in school spreadsheets, compared as lowercase letters and digits only
+const COLUMN_ALIASES = {
+  name: ['name', 'studentname', 'fullname'],
+  rollNumber: ['rollnumber', 'rollno', 'roll', 'admissionnumber', 'admissionno'],
+  class: ['class', 'grade', 'standard'],
+  gender: ['gender', 'sex'],
+  age: ['age'],
+  contactNumber: ['contactnumber', 'contact', 'phone', 'phonenumber', 'mobile'],
+  parentName: ['parentname', 'guardianname', 'parent', 'guardian'],
+  parentContact: ['parentcontact', 'parentphone', 'guardiancontact', 'guardianphone'],
+  address: ['address'],
+  status: ['status']
+}
+
+export const IMPORT_FIELDS = Object.keys(COLUMN_ALIASES)
+const REQUIRED_FIELDS = ['name', 'rollNumber', 'class', 'gender']
+
+const GENDERS = { male: 'male', m: 'male', boy: 'male', female: 'female', f: 'female', girl: 'female', other: 'other' }
+
+// Schema paths reported under the column names used in the file
+const ERROR_FIELDS = { 'profile.age': 'age', 'profile.gender': 'gender' }
+
+const importError = (message) => Object.assign(new Error(message), { statusCode: 400 })
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const rowKey = (rollNumber, className) => `${className}\u0000${rollNumber}`
+
+// Read the first sheet as [{ line, values }], keeping the spreadsheet line numbers for the report
+const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname).toLowerCase()
+
+  if (extension === '.csv') {
+    try {
+      return parse(file.buffer, { bom: true, trim: true, skip_empty_lines: true, relax_column_count: true, info: true })
+        .map(({ record, info }) => ({ line: info.lines, values: record }))
+    } catch (error) {
+      throw importError(`Could not read CSV file: ${error.message}`)
+    }
+  }
+
+  const workbook = new ExcelJS.Workbook()
+  try {
+    await workbook.xlsx.load(file.buffer)
+  } catch (error) {
+    throw importError(`Could not read XLSX file: ${error.message}`)
+  }
+
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+
+  const lines = []
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const values = []
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      values.push(row.getCell(column).text.trim())
+    }
+    if (values.some(Boolean)) lines.push({ line: rowNumber, values })
+  })
+  return lines
+}
+
+// Map each header to a Student field; an explicit { "Header": "field" } mapping wins over the aliases
+export const mapColumns = (headers, mapping = {}) => {
+  const explicit = Object.fromEntries(Object.entries(mapping).map(([header, field]) => [normalizeHeader(header), field]))
+  const columns = {}
+  const ignored = []
+
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header)
+    const field = explicit[key] || IMPORT_FIELDS.find(candidate => COLUMN_ALIASES[candidate].includes(key))
+    if (field && !Object.values(columns).includes(field)) columns[index] = field
+    else if (header) ignored.push(header)
+  })
+
+  return { columns, ignored }
+}
+
+// Same checks as POST /api/students, then the Student schema itself
+const buildRow = ({ line, values }, columns, schoolId, classes) => {
+  const raw = {}
+  Object.entries(columns).forEach(([index, field]) => {
+    const value = values[index]
+    if (value !== undefined && value !== '') raw[field] = value
+  })
+
+  const errors = []
+  const addError = (field, message) => errors.push({ field, message })
+
+  if (!raw.name) addError('name', 'Name is required')
+  if (!raw.rollNumber) addError('rollNumber', 'Roll number is required')
+  if (!raw.class) addError('class', 'Class is required')
+
+  const gender = GENDERS[String(raw.gender || '').toLowerCase()]
+  if (!gender) addError('gender', 'Gender must be male, female or other')
+
+  let age
+  if (raw.age !== undefined) {
+    age = Number(raw.age)
+    if (!Number.isInteger(age)) addError('age', 'Age must be a whole number')
+  }
+
+  // Labels that match one of the school's classes are linked to it and stored in canonical form
+  const parsedClass = Class.parseLabel(raw.class)
+  const klass = parsedClass && classes.get(Class.formatName(parsedClass.grade, parsedClass.section))
+  const className = klass ? klass.name : raw.class
+
+  const student = new Student({
+    name: raw.name,
+    rollNumber: raw.rollNumber,
+    class: className,
+    classId: klass?._id,
+    schoolId,
+    profile: { age: Number.isInteger(age) ? age : undefined, gender },
+    contactNumber: raw.contactNumber,
+    parentName: raw.parentName,
+    parentContact: raw.parentContact,
+    address: raw.address,
+    status: raw.status ? raw.status.toLowerCase() : undefined
+  })
+
+  const validation = student.validateSync()
+  if (validation) {
+    Object.values(validation.errors).forEach(error => {
+      const field = ERROR_FIELDS[error.path] || error.path
+      if (!errors.some(existing => existing.field === field)) addError(field, error.message)
+    })
+  }
+
+  return { line, rollNumber: raw.rollNumber, class: className, name: raw.name, student, errors }
+}
+
+// Parse, validate and (unless dryRun) insert students from an uploaded CSV/XLSX file into one school
+export const importStudents = async (file, { schoolId, mapping = {}, dryRun = false }) => {
+  const lines = await readSpreadsheet(file)
+  if (lines.length < 2) throw importError('The file has a header row but no students')
+
+  const [header, ...dataLines] = lines
+  if (dataLines.length > MAX_IMPORT_ROWS) throw importError(`A file can contain at most ${MAX_IMPORT_ROWS} students`)
+
+  const { columns, ignored } = mapColumns(header.values, mapping)
+  const mappedFields = Object.values(columns)
+  const missing = REQUIRED_FIELDS.filter(field => !mappedFields.includes(field))
+  if (missing.length > 0) throw importError(`Missing required columns: ${missing.join(', ')}`)
+
+  const schoolClasses = await Class.find({ schoolId, academicYear: await AcademicYear.currentName(schoolId) })
+  const classes = new Map(schoolClasses.map(klass => [klass.name, klass]))
+  const rows = dataLines.map(line => buildRow(line, columns, schoolId, classes))
+
+  // Roll numbers are unique per class within a school, both against the database and inside the file
+  const rollNumbers = [...new Set(rows.filter(row => row.rollNumber).map(row => row.rollNumber))]
+  const existing = await Student.find({ schoolId, rollNumber: { $in: rollNumbers }, status: { $ne: 'graduated' } }).select('rollNumber class')
+  const taken = new Set(existing.map(student => rowKey(student.rollNumber, student.class)))
+  const seen = new Map()
+
+  rows.forEach(row => {
+    if (row.errors.length > 0) return
+    const key = rowKey(row.rollNumber, row.class)
+    if (taken.has(key)) {
+      row.errors.push({ field: 'rollNumber', message: 'Student with this roll number already exists in the same class and school' })
+    } else if (seen.has(key)) {
+      row.errors.push({ field: 'rollNumber', message: `Duplicate of line ${seen.get(key)} in this file` })
+    } else {
+      seen.set(key, row.line)
+    }
+  })
+
+  // Rows past the school's capacity are rejected, in file order
+  let accepted = rows.filter(row => row.errors.length === 0)
+  const capacity = await checkStudentLimit(schoolId, accepted.length)
+  if (!capacity.allowed) {
+    const room = Math.max(capacity.limit - capacity.current, 0)
+    accepted.slice(room).forEach(row => {
+      row.errors.push({ field: null, code: 'STUDENT_LIMIT_REACHED', message: `School has reached the maximum of ${capacity.limit} students` })
+    })
+    accepted = accepted.slice(0, room)
+  }
+
+  let imported = 0
+  if (!dryRun && accepted.length > 0) {
+    try {
+      const inserted = await Student.insertMany(accepted.map(row => row.student))
+      imported = inserted.length
+    } catch (error) {
+      // Student's insertMany middleware recounts the school, but only when the whole insert succeeds
+      await School.refreshStudentCounts([schoolId])
+      throw error
+    }
+  }
+
+  const acceptedStatus = dryRun ? 'valid' : 'imported'
+  return {
+    dryRun,
+    totalRows: rows.length,
+    valid: accepted.length,
+    imported,
+    failed: rows.length - accepted.length,
+    columns: {
+      mapped: Object.fromEntries(Object.entries(columns).map(([index, field]) => [header.values[index], field])),
+      ignored
+    },
+    limit: { max: capacity.limit, current: capacity.current },
+    rows: rows.map(row => ({
+      line: row.line,
+      name: row.name,
+      rollNumber: row.rollNumber,
+      class: row.class,
+      status: row.errors.length > 0 ? 'error' : acceptedStatus,
+      studentId: !dryRun && row.errors.length === 0 ? row.student._id : undefined,
+      errors: row.errors
+    }))
+  }
+}
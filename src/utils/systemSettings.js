@@ -0,0 +1,55 @@
+import SystemSettings from '../models/SystemSettings.js'
+import Student from '../models/Student.js'
+
+// Settings are read on hot paths (every request for maintenance/features), so keep a short-lived copy
+const CACHE_TTL_MS = 30 * 1000
+
+let cachedSettings = null
+let cachedAt = 0
+
+// Get the current system settings as a plain object
+export const getSystemSettings = async () => {
+  if (cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) return cachedSettings
+
+  const settings = await SystemSettings.getSettings()
+  cachedSettings = settings.toObject()
+  cachedAt = Date.now()
+  return cachedSettings
+}
+
+// Drop the cached copy so the next read sees the latest document
+export const clearSystemSettingsCache = () => {
+  cachedSettings = null
+  cachedAt = 0
+}
+
+// Work out whether maintenance is in force right now.
+// `enabled` arms the window; startTime/endTime (either optional) bound it, so a scheduled window
+// starts and ends on its own without another settings update.
+export const getMaintenanceState = (maintenance, now = new Date()) => {
+  const startTime = maintenance?.startTime ? new Date(maintenance.startTime) : null
+  const endTime = maintenance?.endTime ? new Date(maintenance.endTime) : null
+
+  const active = Boolean(maintenance?.enabled) &&
+    (!startTime || now >= startTime) &&
+    (!endTime || now < endTime)
+
+  return {
+    active,
+    scheduled: Boolean(maintenance?.enabled) && Boolean(startTime) && now < startTime,
+    message: maintenance?.message || 'The service is undergoing maintenance. Please try again later.',
+    startTime,
+    endTime
+  }
+}
+
+// Check whether a school can take `incoming` more students under limits.maxStudentsPerSchool
+export const checkStudentLimit = async (schoolId, incoming = 1) => {
+  const { limits } = await getSystemSettings()
+  const current = await Student.countDocuments({ schoolId })
+  return {
+    allowed: current + incoming <= limits.maxStudentsPerSchool,
+    limit: limits.maxStudentsPerSchool,
+    current
+  }
+}
@@ -0,0 +1,67 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import mongoose from 'mongoose'
+import { ensureDefaultAchievements } from '../src/utils/achievements.js'
+import AchievementRule from '../src/models/AchievementRule.js'
+import Student from '../src/models/Student.js'
+import SystemSettings from '../src/models/SystemSettings.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+const { ObjectId } = mongoose.Types
+
+const schoolId = new ObjectId()
+const veteran = { _id: new ObjectId(), name: 'Asha Verma', class: 'Class 5A', schoolId, performance: { xpPoints: 1200, lessonsCompleted: 60, accuracyPercentage: 80, achievements: [] }, deletedAt: null, __v: 0 }
+const newcomer = { _id: new ObjectId(), name: 'Ben Okafor', class: 'Class 5A', schoolId, performance: { xpPoints: 20, lessonsCompleted: 1, accuracyPercentage: 70, achievements: [] }, deletedAt: null, __v: 0 }
+
+let db
+
+const badges = async (student) => (await Student.findById(student._id)).performance.achievements.map(a => a.name).sort()
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(SystemSettings, [])
+  db.seed(AchievementRule, [])
+  db.seed(Student, [veteran, newcomer])
+})
+
+describe('ensureDefaultAchievements', () => {
+  test('adds the built-in rules to a database without rules and awards them to existing students', async () => {
+    const result = await ensureDefaultAchievements()
+
+    expect(result).toEqual({ created: AchievementRule.DEFAULT_RULES.length, awarded: 3 })
+    expect(await AchievementRule.countDocuments()).toBe(AchievementRule.DEFAULT_RULES.length)
+    expect(await badges(veteran)).toEqual(['Dedicated Learner', 'XP Expert', 'XP Master'])
+    expect(await badges(newcomer)).toEqual([])
+  })
+
+  test('runs once, so a built-in rule an admin deleted is not brought back', async () => {
+    await ensureDefaultAchievements()
+    await AchievementRule.deleteOne({ name: 'XP Master' })
+
+    expect(await ensureDefaultAchievements()).toBeNull()
+    expect(await AchievementRule.exists({ name: 'XP Master' })).toBeNull()
+    expect(await badges(veteran)).toEqual(['Dedicated Learner', 'XP Expert', 'XP Master'])
+  })
+
+  test('leaves rules an admin already manages alone and backfills those', async () => {
+    db.seed(AchievementRule, [{ _id: new ObjectId(), name: 'First Lesson', metric: 'lessonsCompleted', threshold: 1, tier: 'bronze', isActive: true }])
+
+    expect(await ensureDefaultAchievements()).toEqual({ created: 0, awarded: 2 })
+    expect(await AchievementRule.countDocuments()).toBe(1)
+    expect(await badges(newcomer)).toEqual(['First Lesson'])
+  })
+
+  test('can be retried after a failed run', async () => {
+    const evaluate = Student.find
+    Student.find = () => { throw new Error('connection lost') }
+    try {
+      await expect(ensureDefaultAchievements()).rejects.toThrow('connection lost')
+    } finally {
+      Student.find = evaluate
+    }
+
+    expect((await ensureDefaultAchievements()).awarded).toBe(3)
+  })
+})
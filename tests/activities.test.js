@@ -0,0 +1,103 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import express from 'express'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import activityRoutes from '../src/routes/activities.js'
+import { applyActivitiesToStudent } from '../src/utils/activities.js'
+import LearningActivity from '../src/models/LearningActivity.js'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.LEARNING_APP_API_KEY = 'learning-app-test-key'
+
+const { ObjectId } = mongoose.Types
+
+const app = express()
+app.use(express.json())
+app.use('/api/activities', activityRoutes)
+
+const school = { _id: new ObjectId(), name: 'Northfield Academy', board: 'CBSE', settings: { timezone: 'UTC' }, deletedAt: null }
+const studentId = new ObjectId()
+
+let db
+
+const activity = (key, completedAt, extra = {}) => ({
+  _id: new ObjectId(),
+  idempotencyKey: key,
+  studentId,
+  schoolId: school._id,
+  skill: 'grammar',
+  score: 80,
+  durationMinutes: 10,
+  xpEarned: 50,
+  completedAt,
+  ...extra
+})
+
+const submit = (activities) => request(app)
+  .post('/api/activities')
+  .set('X-Api-Key', process.env.LEARNING_APP_API_KEY)
+  .send({ activities: activities.map(({ _id, schoolId, ...item }) => ({ ...item, studentId: String(item.studentId), completedAt: item.completedAt.toISOString() })) })
+
+const storedStudent = async () => (await Student.findById(studentId)).performance
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(School, [school])
+  db.seed(Student, [{ _id: studentId, name: 'Asha Verma', class: 'Class 5A', schoolId: school._id, performance: {}, deletedAt: null, __v: 0 }])
+  db.seed(LearningActivity, [])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('applyActivitiesToStudent', () => {
+  test('counts both of two batches racing for the same student', async () => {
+    // Both batches start from the same stored copy, as two concurrent requests would
+    const [first, second] = await Promise.all([Student.findById(studentId), Student.findById(studentId)])
+    const batchA = [activity('a-1', new Date('2026-03-02T10:00:00Z')), activity('a-2', new Date('2026-03-03T10:00:00Z'))]
+    const batchB = [activity('b-1', new Date('2026-03-04T10:00:00Z'), { score: 50, xpEarned: 20 })]
+    db.seed(LearningActivity, [...batchA, ...batchB])
+
+    await Promise.all([
+      applyActivitiesToStudent(first, batchA),
+      applyActivitiesToStudent(second, batchB)
+    ])
+
+    const performance = await storedStudent()
+    expect(performance.xpPoints).toBe(120)
+    expect(performance.lessonsCompleted).toBe(3)
+    expect(performance.timeSpentMinutes).toBe(30)
+    expect(performance.accuracyPercentage).toBe(70)
+  })
+
+  test('gives up with the version error when the student keeps changing', async () => {
+    const student = await Student.findById(studentId)
+    jest.spyOn(Student.prototype, 'save').mockRejectedValue(new mongoose.Error.VersionError(student, 0, []))
+
+    await expect(applyActivitiesToStudent(student, [activity('a-1', new Date())])).rejects.toThrow(mongoose.Error.VersionError)
+    expect(Student.prototype.save).toHaveBeenCalledTimes(5)
+  })
+})
+
+describe('POST /api/activities', () => {
+  test('releases the idempotency keys when the student cannot be updated, so a retry is counted', async () => {
+    const batch = [activity('a-1', new Date('2026-03-02T10:00:00Z'))]
+    jest.spyOn(Student.prototype, 'save').mockRejectedValueOnce(new Error('write conflict'))
+    jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const failed = await submit(batch)
+    expect(failed.body.results[0].status).toBe('failed')
+    expect(db.match(LearningActivity)).toHaveLength(0)
+    expect((await storedStudent()).xpPoints).toBe(0)
+
+    const retried = await submit(batch)
+    expect(retried.body.results[0].status).toBe('recorded')
+    expect((await storedStudent()).xpPoints).toBe(50)
+  })
+})
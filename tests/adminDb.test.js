@@ -0,0 +1,52 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import express from 'express'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import adminDbRoutes from '../src/routes/adminDb.js'
+import User from '../src/models/User.js'
+import Session from '../src/models/Session.js'
+// Registered as on the server, so the explorer casts filters against their schemas
+import '../src/models/School.js'
+import '../src/models/Student.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'admin-db-test-secret'
+
+const { ObjectId } = mongoose.Types
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const app = express()
+app.use(express.json())
+app.use('/api/admin/db', adminDbRoutes)
+
+const superAdmin = { _id: new ObjectId(), name: 'Sam Super', email: 'super@platform.com', role: 'super_admin', isActive: true }
+const session = { _id: new ObjectId(), userId: superAdmin._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }
+const token = new User(superAdmin).getSignedJwtToken(session)
+
+let db
+
+const browse = (collection, where) => request(app)
+  .get(`/api/admin/db/${collection}`)
+  .query({ where: JSON.stringify(where) })
+  .set('Authorization', `Bearer ${token}`)
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(User, [superAdmin])
+  db.seed(Session, [session])
+})
+
+describe('GET /api/admin/db/:collection', () => {
+  test.each([
+    ['an _id that is not an ObjectId', 'students', { _id: 'abc' }, /_id/],
+    ['a number field given text', 'schools', { totalStudents: 'many' }, /totalStudents/]
+  ])('answers 400 for %s', async (name, collection, where, message) => {
+    const res = await browse(collection, where)
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toMatch(message)
+  })
+})
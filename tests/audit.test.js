@@ -0,0 +1,191 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import express from 'express'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import auditRoutes from '../src/routes/audit.js'
+import studentRoutes from '../src/routes/students.js'
+import classRoutes from '../src/routes/classes.js'
+import academicYearRoutes from '../src/routes/academicYears.js'
+import teacherRoutes from '../src/routes/teachers.js'
+import parentRoutes from '../src/routes/parents.js'
+import User from '../src/models/User.js'
+import Session from '../src/models/Session.js'
+import AuditLog from '../src/models/AuditLog.js'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import Class from '../src/models/Class.js'
+import AcademicYear from '../src/models/AcademicYear.js'
+import { registerMailTransport } from '../src/utils/mailer.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'audit-test-secret'
+process.env.BCRYPT_ROUNDS = '4'
+
+const { ObjectId } = mongoose.Types
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const app = express()
+app.use(express.json())
+app.use('/api/audit', auditRoutes)
+app.use('/api/students', studentRoutes)
+app.use('/api/classes', classRoutes)
+app.use('/api/academic-years', academicYearRoutes)
+app.use('/api/teachers', teacherRoutes)
+app.use('/api/parents', parentRoutes)
+
+const superAdmin = { _id: new ObjectId(), name: 'Sam Super', email: 'super@platform.com', role: 'super_admin', isActive: true }
+const session = { _id: new ObjectId(), userId: superAdmin._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }
+const token = new User(superAdmin).getSignedJwtToken(session)
+
+const entry = (actorName, changes) => ({
+  _id: new ObjectId(),
+  actor: new ObjectId(),
+  actorName,
+  actorEmail: 'admin@northfield.com',
+  role: 'school_admin',
+  ip: '10.0.0.1',
+  method: 'PUT',
+  path: '/api/students/1',
+  action: 'update',
+  targetCollection: 'students',
+  targetId: '1',
+  changes,
+  createdAt: new Date()
+})
+
+const school = { _id: new ObjectId(), name: 'Northfield Academy', board: 'CBSE', status: 'active', totalStudents: 2, adminContact: { name: 'Priya Nair', email: 'admin@northfield.com', phone: '+919876543210' }, deletedAt: null }
+const year = { _id: new ObjectId(), schoolId: school._id, name: '2025-26', startDate: new Date('2025-04-01'), endDate: new Date('2026-03-31'), status: 'active', terms: [] }
+const klass = (grade, section) => ({ _id: new ObjectId(), schoolId: school._id, grade, section, name: `Class ${grade}${section}`, academicYear: year.name, capacity: 40, isActive: true })
+const class5A = klass(5, 'A')
+const class5B = klass(5, 'B')
+const pupil = (name, rollNumber, owner) => ({ _id: new ObjectId(), name, rollNumber, class: owner.name, classId: owner._id, schoolId: school._id, status: 'active', profile: { gender: 'female' }, performance: { achievements: [] }, deletedAt: null })
+const asha = pupil('Asha Verma', '1', class5A)
+const ben = pupil('Ben Okafor', '2', class5B)
+const teacher = { _id: new ObjectId(), name: 'Tara Teacher', email: 'tara@northfield.com', role: 'teacher', schoolId: school._id, classIds: [class5A._id], isActive: true }
+
+let db
+
+const as = (req) => req.set('Authorization', `Bearer ${token}`)
+const logged = (filter = {}) => db.match(AuditLog, filter)
+const changesOf = (entry) => Object.fromEntries(entry.changes.map(change => [change.path, [change.before, change.after]]))
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+  process.env.MAIL_TRANSPORT = 'memory'
+  registerMailTransport('memory', () => ({ send: async () => ({ transport: 'memory' }) }))
+})
+
+beforeEach(() => {
+  db.seed(User, [superAdmin, teacher])
+  db.seed(Session, [session])
+  db.seed(AuditLog, [])
+  db.seed(School, [school])
+  db.seed(AcademicYear, [year])
+  db.seed(Class, [class5A, class5B])
+  db.seed(Student, [asha, ben])
+})
+
+describe('GET /api/audit/export', () => {
+  test('quotes cells a spreadsheet would run as a formula', async () => {
+    db.seed(AuditLog, ['=HYPERLINK("http://evil.test","x")', '+1+1', '-2+3', '@SUM(A1)', '\tTab', '\rReturn', 'Priya Nair'].map(name => entry(name, [])))
+
+    const res = await request(app).get('/api/audit/export').set('Authorization', `Bearer ${token}`).buffer(true).parse((response, done) => {
+      let text = ''
+      response.on('data', chunk => { text += chunk })
+      response.on('end', () => done(null, text))
+    })
+
+    expect(res.status).toBe(200)
+    for (const cell of [`"'=HYPERLINK(`, ",'+1+1,", ",'-2+3,", ",'@SUM(A1),", ",'\tTab,", "'\rReturn", ',Priya Nair,']) {
+      expect(res.body).toContain(cell)
+    }
+    // No cell may start with a formula character, quoted or not
+    expect(res.body).not.toMatch(/(^|,)"?[=+\-@\t\r]/m)
+  })
+})
+
+describe('writes outside schools and students', () => {
+  test('an import records one create per imported student', async () => {
+    const csv = 'name,rollNumber,class,gender\nCara Singh,3,Class 5A,female\nDan Roy,4,Class 5B,male\nNo Roll,,Class 5B,male\n'
+    const res = await as(request(app).post('/api/students/import')).field('schoolId', String(school._id)).attach('file', Buffer.from(csv), 'students.csv')
+
+    expect(res.status).toBe(201)
+    const importedIds = res.body.rows.filter(row => row.status === 'imported').map(row => row.studentId)
+    const entries = logged({ targetCollection: 'students' })
+    expect(entries.map(entry => entry.action)).toEqual(['create', 'create'])
+    expect(entries.map(entry => entry.targetId).sort()).toEqual(importedIds.sort())
+    expect(entries[0].route).toBe('/api/students/import')
+  })
+
+  test('moving students into a class records each student that moved', async () => {
+    const res = await as(request(app).post(`/api/classes/${class5A._id}/students`)).send({ studentIds: [String(asha._id), String(ben._id)] })
+
+    expect(res.status).toBe(200)
+    const [entry, ...others] = logged({ targetCollection: 'students' })
+    expect(others).toHaveLength(0)
+    expect(entry).toMatchObject({ action: 'bulk_update', targetId: String(ben._id) })
+    expect(changesOf(entry).class).toEqual(['Class 5B', 'Class 5A'])
+  })
+
+  test('renaming a class records the class and the relabelled students', async () => {
+    const res = await as(request(app).put(`/api/classes/${class5A._id}`)).send({ section: 'C' })
+
+    expect(res.status).toBe(200)
+    expect(changesOf(logged({ targetCollection: 'classes' })[0]).name).toEqual(['Class 5A', 'Class 5C'])
+    const [student] = logged({ targetCollection: 'students' })
+    expect(student.targetId).toBe(String(asha._id))
+    expect(changesOf(student).class).toEqual(['Class 5A', 'Class 5C'])
+  })
+
+  test('a rollover records the years, new classes, archived records and every promoted student', async () => {
+    const res = await as(request(app).post(`/api/academic-years/${year._id}/rollover`))
+      .send({ nextYear: { name: '2026-27', startDate: '2026-04-01', endDate: '2027-03-31' }, holdBacks: [String(ben._id)] })
+
+    expect(res.status).toBe(200)
+    const count = (targetCollection, action) => logged({ targetCollection, action }).length
+    expect(count('academicyears', 'create')).toBe(1)
+    expect(count('academicyears', 'update')).toBe(2)
+    // 6A and 6B for the promotions, and next year's 5B for the student held back
+    expect(logged({ targetCollection: 'classes', action: 'create' }).map(entry => changesOf(entry).name[1]).sort()).toEqual(['Class 5B', 'Class 6A', 'Class 6B'])
+    expect(count('studentyearrecords', 'create')).toBe(2)
+
+    const students = Object.fromEntries(logged({ targetCollection: 'students' }).map(entry => [entry.targetId, changesOf(entry)]))
+    expect(students[String(asha._id)].class).toEqual(['Class 5A', 'Class 6A'])
+    expect(students[String(ben._id)].classId[0]).not.toEqual(students[String(ben._id)].classId[1])
+    expect(logged({ targetCollection: 'academicyears', targetId: String(year._id) }).map(entry => changesOf(entry).status)).toEqual([['active', 'closed']])
+  })
+
+  test('teacher changes are recorded', async () => {
+    await as(request(app).put(`/api/teachers/${teacher._id}/classes`)).send({ classIds: [String(class5B._id)] })
+    await as(request(app).put(`/api/teachers/${teacher._id}/status`)).send({ isActive: false })
+
+    const [classes, status] = logged({ targetCollection: 'users', targetId: String(teacher._id) })
+    expect(changesOf(classes).classIds.map(ids => ids.map(String))).toEqual([[String(class5A._id)], [String(class5B._id)]])
+    expect(changesOf(status).isActive).toEqual([true, false])
+  })
+
+  test('performance and assessment edits are recorded', async () => {
+    await as(request(app).put(`/api/students/${asha._id}/performance`)).send({ performance: { xpPoints: 120 } })
+    await as(request(app).put(`/api/students/${asha._id}/assessments`)).send({ assessments: { midTerm: 82 } })
+
+    const [performance, assessments] = logged({ targetCollection: 'students', targetId: String(asha._id) })
+    expect(performance.route).toBe('/api/students/:id/performance')
+    expect(changesOf(performance)['performance.xpPoints'][1]).toBe(120)
+    expect(assessments.route).toBe('/api/students/:id/assessments')
+    expect(changesOf(assessments)['performance.assessments.midTerm'][1]).toBe(82)
+  })
+
+  test('parent invitations and unlinks are recorded', async () => {
+    const invited = await as(request(app).post('/api/parents/invite')).send({ studentId: String(asha._id), email: 'parent@family.com', name: 'Lee Parent' })
+    expect(invited.status).toBe(201)
+    const parentId = invited.body.parentId
+    await as(request(app).delete(`/api/parents/${parentId}/students/${asha._id}`))
+
+    const [created, unlinked] = logged({ targetCollection: 'users', targetId: String(parentId) })
+    expect(created.action).toBe('create')
+    expect(changesOf(created).studentIds[1].map(String)).toEqual([String(asha._id)])
+    expect(changesOf(created).inviteToken[1]).toBe('[redacted]')
+    expect(unlinked.action).toBe('update')
+    expect(changesOf(unlinked).studentIds.map(ids => ids.map(String))).toEqual([[String(asha._id)], []])
+  })
+})
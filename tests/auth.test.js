@@ -0,0 +1,147 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import bcrypt from 'bcryptjs'
+import express from 'express'
+import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import authRoutes from '../src/routes/auth.js'
+import User from '../src/models/User.js'
+import Session from '../src/models/Session.js'
+import LoginAttempt from '../src/models/LoginAttempt.js'
+import { registerMailTransport, resolveMailTransport } from '../src/utils/mailer.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'auth-test-secret'
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'auth-test-refresh-secret'
+
+const { ObjectId } = mongoose.Types
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const app = express()
+app.use(express.json())
+app.use('/api/auth', authRoutes)
+
+const superAdmin = { _id: new ObjectId(), name: 'Sam Super', email: 'super@platform.com', role: 'super_admin', isActive: true }
+const PASSWORD = 'Correct-Horse-42'
+const teacher = { _id: new ObjectId(), name: 'Tara Teacher', email: 'tara@northfield.com', password: bcrypt.hashSync(PASSWORD, 4), role: 'teacher', schoolId: new ObjectId(), isActive: true }
+const session = (user) => ({ _id: new ObjectId(), userId: user._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null })
+const adminSession = session(superAdmin)
+const teacherSession = session(teacher)
+const adminToken = new User(superAdmin).getSignedJwtToken(adminSession)
+
+// Access token as issued before sessions existed: no sid, signed a minute ago
+const legacyToken = (user, secondsAgo = 60) => jwt.sign({ id: user._id, iat: Math.floor(Date.now() / 1000) - secondsAgo }, process.env.JWT_SECRET, { expiresIn: '7d' })
+
+let db
+
+const me = (token) => request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)
+const forceLogout = (body = {}) => request(app).post(`/api/auth/users/${teacher._id}/logout`).set('Authorization', `Bearer ${adminToken}`).send(body)
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(User, [superAdmin, teacher])
+  db.seed(Session, [adminSession, teacherSession])
+  db.seed(LoginAttempt, [])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('POST /api/auth/users/:id/logout', () => {
+  test('signing out every device also ends access tokens without a session', async () => {
+    const token = legacyToken(teacher)
+    expect((await me(token)).status).toBe(200)
+
+    expect((await forceLogout()).status).toBe(200)
+
+    const res = await me(token)
+    expect(res.status).toBe(401)
+    expect(res.body.code).toBe('SESSION_REVOKED')
+    expect((await me(new User(teacher).getSignedJwtToken(teacherSession))).status).toBe(401)
+  })
+
+  test('tokens issued after the force logout still work', async () => {
+    await forceLogout()
+
+    const later = jwt.sign({ id: teacher._id, iat: Math.floor(Date.now() / 1000) + 1 }, process.env.JWT_SECRET, { expiresIn: '7d' })
+    expect((await me(later)).status).toBe(200)
+  })
+
+  test('signing out one session leaves the user\'s other tokens alone', async () => {
+    expect((await forceLogout({ sessionId: String(teacherSession._id) })).body.revoked).toBe(1)
+
+    expect((await me(legacyToken(teacher))).status).toBe(200)
+    expect(db.match(User, { _id: teacher._id })[0].sessionsRevokedAt).toBeUndefined()
+  })
+})
+
+describe('POST /api/auth/forgot-password', () => {
+  const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email })
+
+  test('answers the same when the reset email cannot be sent', async () => {
+    process.env.MAIL_TRANSPORT = 'broken'
+    registerMailTransport('broken', () => ({ send: async () => { throw new Error('SMTP unavailable') } }))
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const known = await forgot(teacher.email)
+    const unknown = await forgot('nobody@northfield.com')
+
+    expect(known.status).toBe(200)
+    expect(known.body).toEqual(unknown.body)
+    expect(logged).toHaveBeenCalledWith('Password reset email error:', expect.objectContaining({ message: 'SMTP unavailable' }))
+    expect(db.match(User, { _id: teacher._id })[0].passwordResetToken).toBeDefined()
+  })
+
+  test('does not log the reset link through the console fallback outside development and test', async () => {
+    const saved = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT }
+    process.env.NODE_ENV = 'production'
+    delete process.env.MAIL_TRANSPORT
+    // Registering a transport drops the one picked by the previous test
+    registerMailTransport('smtp', () => ({ send: async () => {} }))
+    const printed = jest.spyOn(console, 'log').mockImplementation(() => {})
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    try {
+      expect((await forgot(teacher.email)).status).toBe(200)
+      expect(printed).not.toHaveBeenCalled()
+      expect(logged).toHaveBeenCalledWith('Password reset email error:', expect.objectContaining({ message: expect.stringMatching(/MAIL_TRANSPORT must be set/) }))
+
+      process.env.MAIL_TRANSPORT = 'console'
+      expect(() => resolveMailTransport()).toThrow(/only allowed when NODE_ENV is development or test/)
+      process.env.MAIL_TRANSPORT = 'smtp'
+      expect(resolveMailTransport()).toBe('smtp')
+    } finally {
+      Object.entries(saved).forEach(([key, value]) => value === undefined ? delete process.env[key] : (process.env[key] = value))
+    }
+  })
+})
+
+describe('POST /api/auth/login', () => {
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password })
+  const counter = (type) => db.match(LoginAttempt, { type })
+
+  test('a successful login takes the account\'s failures off the IP counter and keeps the others', async () => {
+    await login(teacher.email, 'wrong-password')
+    await login(teacher.email, 'wrong-again')
+    await login('someone-else@northfield.com', 'guess-again')
+    expect(counter('ip')[0].count).toBe(3)
+
+    const res = await login(teacher.email, PASSWORD)
+
+    expect(res.status).toBe(200)
+    expect(db.match(LoginAttempt, { type: 'email', value: teacher.email })).toHaveLength(0)
+    expect(counter('ip')[0].count).toBe(1)
+    expect(db.match(LoginAttempt, { type: 'email', value: 'someone-else@northfield.com' })[0].count).toBe(1)
+  })
+
+  test('a login without earlier failures leaves the IP counter alone', async () => {
+    await login('someone-else@northfield.com', 'guess-again')
+
+    expect((await login(teacher.email, PASSWORD)).status).toBe(200)
+    expect(counter('ip')[0].count).toBe(1)
+  })
+})
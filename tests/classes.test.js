@@ -0,0 +1,64 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import mongoose from 'mongoose'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import Class from '../src/models/Class.js'
+import AcademicYear from '../src/models/AcademicYear.js'
+import { migrateClassLabels } from '../src/utils/classes.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+const { ObjectId } = mongoose.Types
+
+const school = { _id: new ObjectId(), name: 'Northfield Academy', board: 'CBSE', status: 'active', totalStudents: 4, deletedAt: null }
+const year = { _id: new ObjectId(), schoolId: school._id, name: '2025-26', startDate: new Date('2025-04-01'), endDate: new Date('2026-03-31'), status: 'active', terms: [] }
+const pupil = (name, rollNumber, label) => ({ _id: new ObjectId(), name, rollNumber, class: label, classId: null, schoolId: school._id, status: 'active', deletedAt: null })
+const asha = pupil('Asha Verma', '1', 'Class 8')
+const ben = pupil('Ben Okafor', '2', 'Class 8')
+const cara = pupil('Cara Singh', '1', 'class 8')
+const dan = pupil('Dan Roy', '3', 'class 8')
+
+let db
+
+const linked = (student) => db.match(Student, { _id: student._id })[0]
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(School, [school])
+  db.seed(AcademicYear, [year])
+  db.seed(Class, [])
+  db.seed(Student, [asha, ben, cara, dan])
+})
+
+describe('migrateClassLabels', () => {
+  test('merges variant labels but skips students whose roll number is already used in the class', async () => {
+    const report = await migrateClassLabels()
+
+    expect(report.conflicts).toEqual([
+      expect.objectContaining({ class: 'class 8', to: 'Class 8', rollNumber: '1', studentId: cara._id, conflictsWith: asha._id })
+    ])
+    expect(report.studentsLinked).toBe(3)
+    const [klass] = db.match(Class)
+    expect([asha, ben, dan].map(student => String(linked(student).classId))).toEqual([String(klass._id), String(klass._id), String(klass._id)])
+    expect(linked(cara)).toMatchObject({ classId: null, class: 'class 8' })
+  })
+
+  test('checks against students already linked to the class', async () => {
+    const klass = { _id: new ObjectId(), schoolId: school._id, academicYear: year.name, grade: 8, section: '', name: 'Class 8', isActive: true }
+    db.seed(Class, [klass])
+    db.seed(Student, [{ ...pupil('Eli Park', '2', 'Class 8'), classId: klass._id }, dan])
+
+    const report = await migrateClassLabels({ dryRun: true })
+
+    expect(report.conflicts).toEqual([])
+    expect(report.studentsLinked).toBe(1)
+
+    db.seed(Student, [{ ...pupil('Eli Park', '3', 'Class 8'), classId: klass._id }, dan])
+    const clash = await migrateClassLabels()
+
+    expect(clash.conflicts.map(entry => entry.studentId)).toEqual([dan._id])
+    expect(linked(dan).classId).toBeNull()
+  })
+})
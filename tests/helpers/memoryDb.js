@@ -0,0 +1,228 @@
+import mongoose from 'mongoose'
+import { Aggregator, Context, Query } from 'mingo'
+import * as accumulatorOperators from 'mingo/operators/accumulator'
+import * as expressionOperators from 'mingo/operators/expression'
+import { update, updateMany, updateOne } from 'mingo/updater'
+
+const { BSON, MongoServerError, ObjectId } = mongoose.mongo
+
+// The updater only loads the comparison and boolean expressions; pipeline updates ($set: { count: { $max: ... } })
+// need the rest, as on the server
+const updaterOptions = { context: Context.init({ accumulator: accumulatorOperators, expression: expressionOperators }) }
+
+// Deep copy that keeps ObjectIds and Dates, as documents coming off the driver would
+const copy = (doc) => BSON.deserialize(BSON.serialize(doc))
+
+// mingo ignores localField/foreignField on a $lookup that also has a pipeline, so spell that form out
+// as the equivalent let/$expr lookup
+const rewriteLookups = (pipeline) => pipeline.map(stage => {
+  const lookup = stage.$lookup
+  if (!lookup?.pipeline || !lookup.localField) return stage
+  const { localField, foreignField, pipeline: inner, let: vars = {}, ...rest } = lookup
+  return {
+    $lookup: {
+      ...rest,
+      let: { ...vars, lookupLocalValue: `$${localField}` },
+      pipeline: [{ $match: { $expr: { $eq: [`$${foreignField}`, '$$lookupLocalValue'] } } }, ...inner]
+    }
+  }
+})
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc)
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+
+// Throw the server's duplicate key error when `doc` clashes with another document on one of the model's
+// unique indexes (partial and sparse ones included)
+const checkUnique = (model, docs, doc) => {
+  for (const [fields, options] of model.schema.indexes()) {
+    if (!options.unique) continue
+    const partial = options.partialFilterExpression && new Query(options.partialFilterExpression)
+    const keys = Object.keys(fields)
+    const covers = (item) => (!partial || partial.test(item)) && (!options.sparse || keys.some(key => valueAt(item, key) !== undefined))
+    if (!covers(doc)) continue
+
+    const clash = docs.find(other => other !== doc && covers(other) && keys.every(key => sameValue(valueAt(other, key), valueAt(doc, key))))
+    if (clash) {
+      const keyValue = Object.fromEntries(keys.map(key => [key, valueAt(doc, key)]))
+      throw new MongoServerError({ message: `E11000 duplicate key error collection: ${model.collection.collectionName} dup key: ${JSON.stringify(keyValue)}`, code: 11000, keyPattern: fields, keyValue })
+    }
+  }
+}
+
+// Plain-equality fields of a filter, used as the base of an upserted document
+const equalityFields = (filter = {}) => Object.fromEntries(
+  Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && (value === null || typeof value !== 'object' || value instanceof ObjectId))
+)
+
+// Insert the document an upsert creates: the filter's equality fields with the update applied.
+// Mongoose only sends operator updates here, and $setOnInsert applies like $set on insert.
+const upsertDocument = (model, docs, filter, modifier) => {
+  const { $setOnInsert, ...operators } = modifier
+  const doc = { _id: new ObjectId(), ...equalityFields(filter) }
+  update(doc, { ...operators, $set: { ...$setOnInsert, ...operators.$set } }, undefined, undefined, { cloneMode: 'deep' })
+  checkUnique(model, docs, doc)
+  docs.push(doc)
+  return doc
+}
+
+// $setOnInsert has nothing to do when the update matched a document (and mingo does not know it)
+const forExisting = (modifier) => {
+  if (Array.isArray(modifier)) return modifier
+  const { $setOnInsert, ...operators } = modifier
+  return operators
+}
+
+// Update one stored document in place, undoing the change when it breaks a unique index.
+// Returns whether the document changed.
+const updateStored = (model, docs, doc, modifier) => {
+  const before = copy(doc)
+  updateOne(docs, { _id: doc._id }, forExisting(modifier), {}, updaterOptions)
+  const index = docs.findIndex(item => sameValue(item._id, doc._id))
+  try {
+    checkUnique(model, docs, docs[index])
+  } catch (error) {
+    docs[index] = before
+    throw error
+  }
+  return !sameValue(before, docs[index])
+}
+
+// Replace the driver collection methods of `models` with an in-memory store so routes can run their real
+// queries and pipelines without a MongoDB server. Reads, inserts, updates (pipeline updates and upserts too),
+// deletes and bulk writes are supported, and unique indexes are enforced on inserts and single-document updates. Every call is kept in `calls` for assertions.
+export const createMemoryDb = (models) => {
+  const data = {}
+  const calls = []
+  const docsOf = (name) => data[name] || (data[name] = [])
+  const runPipeline = (docs, pipeline) => new Aggregator(rewriteLookups(pipeline), { collectionResolver: docsOf }).run(docs)
+
+  for (const model of models) {
+    const { collection } = model
+    const name = collection.collectionName
+    const record = (op, details) => calls.push({ model: model.modelName, op, ...details })
+    const matching = (filter = {}) => new Query(filter).find(docsOf(name))
+
+    // Query cursors wait for a connection while the collection buffers; there is never one here
+    collection.buffer = false
+    Object.assign(collection, {
+      find: (filter, options = {}) => {
+        record('find', { filter })
+        let cursor = matching(filter)
+        if (options.sort) cursor = cursor.sort(options.sort)
+        if (options.skip) cursor = cursor.skip(options.skip)
+        if (options.limit) cursor = cursor.limit(options.limit)
+        const docs = cursor.all().map(copy)
+        let position = 0
+        return {
+          toArray: async () => docs.slice(position),
+          next: async () => docs[position++] ?? null,
+          close: async () => {}
+        }
+      },
+      findOne: async (filter) => {
+        record('findOne', { filter })
+        const [doc] = matching(filter).all()
+        return doc ? copy(doc) : null
+      },
+      countDocuments: async (filter) => {
+        record('countDocuments', { filter })
+        return matching(filter).all().length
+      },
+      distinct: async (field, filter) => {
+        record('distinct', { filter })
+        return runPipeline(docsOf(name), [{ $match: filter || {} }, { $group: { _id: `$${field}` } }]).map(row => row._id)
+      },
+      aggregate: (pipeline) => {
+        record('aggregate', { pipeline })
+        const docs = runPipeline(docsOf(name), pipeline).map(copy)
+        return { toArray: async () => docs }
+      },
+      insertOne: async (doc) => {
+        record('insertOne', { docs: [doc] })
+        checkUnique(model, docsOf(name), doc)
+        docsOf(name).push(copy(doc))
+        return { acknowledged: true, insertedId: doc._id }
+      },
+      insertMany: async (docs) => {
+        record('insertMany', { docs })
+        docs.forEach(doc => {
+          checkUnique(model, docsOf(name), doc)
+          docsOf(name).push(copy(doc))
+        })
+        return { acknowledged: true, insertedCount: docs.length, insertedIds: Object.fromEntries(docs.map((doc, i) => [i, doc._id])) }
+      },
+      findOneAndUpdate: async (filter, modifier, options = {}) => {
+        record('findOneAndUpdate', { filter, update: modifier })
+        const docs = docsOf(name)
+        let [doc] = matching(filter).all()
+        const before = doc && copy(doc)
+        if (doc) updateStored(model, docs, doc, modifier)
+        else if (options.upsert) doc = upsertDocument(model, docs, filter, modifier)
+        // Like the server, an upsert that returns the document from before the update returns null
+        const returned = options.returnDocument === 'after' ? doc : before
+        const value = returned ? copy(returned) : null
+        return options.includeResultMetadata ? { value, ok: 1 } : value
+      },
+      updateOne: async (filter, modifier, options = {}) => {
+        record('updateOne', { filter, update: modifier })
+        const docs = docsOf(name)
+        const [doc] = matching(filter).all()
+        if (!doc && options.upsert) {
+          const upserted = upsertDocument(model, docs, filter, modifier)
+          return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: upserted._id }
+        }
+        const modified = doc ? updateStored(model, docs, doc, modifier) : false
+        return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: modified ? 1 : 0, upsertedCount: 0 }
+      },
+      updateMany: async (filter, modifier) => {
+        record('updateMany', { filter, update: modifier })
+        const result = updateMany(docsOf(name), filter, forExisting(modifier), {}, updaterOptions)
+        return { acknowledged: true, matchedCount: result.matchedCount, modifiedCount: result.modifiedCount, upsertedCount: 0 }
+      },
+      deleteOne: async (filter) => {
+        record('deleteOne', { filter })
+        const [doc] = matching(filter).all()
+        if (doc) data[name] = docsOf(name).filter(item => item !== doc)
+        return { acknowledged: true, deletedCount: doc ? 1 : 0 }
+      },
+      findOneAndDelete: async (filter, options = {}) => {
+        record('findOneAndDelete', { filter })
+        const [doc] = matching(filter).all()
+        if (doc) data[name] = docsOf(name).filter(item => item !== doc)
+        const value = doc ? copy(doc) : null
+        return options.includeResultMetadata ? { value, ok: 1 } : value
+      },
+      deleteMany: async (filter) => {
+        record('deleteMany', { filter })
+        const doomed = new Set(matching(filter).all())
+        data[name] = docsOf(name).filter(item => !doomed.has(item))
+        return { acknowledged: true, deletedCount: doomed.size }
+      },
+      bulkWrite: async (operations) => {
+        const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {} }
+        for (const [index, operation] of operations.entries()) {
+          const [op, args] = Object.entries(operation)[0]
+          let outcome
+          if (op === 'insertOne') outcome = await collection.insertOne(args.document)
+          else if (op === 'updateOne' || op === 'updateMany') outcome = await collection[op](args.filter, args.update, { upsert: args.upsert })
+          else if (op === 'deleteOne' || op === 'deleteMany') outcome = await collection[op](args.filter)
+          else throw new Error(`bulkWrite ${op} is not supported`)
+
+          if (op === 'insertOne') result.insertedIds[index] = outcome.insertedId
+          if (outcome.upsertedId) result.upsertedIds[index] = outcome.upsertedId
+          result.insertedCount += op === 'insertOne' ? 1 : 0
+          for (const key of ['matchedCount', 'modifiedCount', 'deletedCount', 'upsertedCount']) result[key] += outcome[key] || 0
+        }
+        return result
+      }
+    })
+  }
+
+  return {
+    calls,
+    // Replace the contents of a collection
+    seed: (model, docs) => { data[model.collection.collectionName] = docs.map(copy) },
+    // Documents of `model` a filter matches, evaluated the same way as the stubbed queries
+    match: (model, filter = {}) => new Query(filter).find(docsOf(model.collection.collectionName)).all()
+  }
+}
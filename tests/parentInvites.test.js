@@ -0,0 +1,75 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import mongoose from 'mongoose'
+import User from '../src/models/User.js'
+import { registerMailTransport } from '../src/utils/mailer.js'
+import { inviteParent } from '../src/utils/parentInvites.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.BCRYPT_ROUNDS = '4'
+
+const { ObjectId } = mongoose.Types
+
+const student = { _id: new ObjectId(), name: '<img src=x onerror=alert(1)> & "Bobby"' }
+const inviterName = '<script>steal()</script> Admin'
+const sent = []
+
+let db
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  sent.length = 0
+  db.seed(User, [])
+  process.env.MAIL_TRANSPORT = 'memory'
+  registerMailTransport('memory', () => ({ send: async (message) => sent.push(message) }))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('inviteParent emails', () => {
+  test('escape the student and inviter names in the invitation html', async () => {
+    await inviteParent({ student, email: 'parent@family.com', name: 'Lee Parent', invitedBy: new ObjectId(), inviterName })
+
+    const [message] = sent
+    expect(message.html).not.toMatch(/<img|<script/)
+    expect(message.html).toContain('&lt;img src=x onerror=alert(1)&gt; &amp; &quot;Bobby&quot;')
+    expect(message.html).toContain('&lt;script&gt;steal()&lt;/script&gt; Admin has invited you')
+    // The plain-text part is not html, so it keeps the names as they are
+    expect(message.text).toContain(`${inviterName} has invited you to a parent account for ${student.name}`)
+  })
+
+  test('escape the student name when an active parent is linked to another child', async () => {
+    db.seed(User, [{ _id: new ObjectId(), name: 'Lee Parent', email: 'parent@family.com', password: 'x', role: 'parent', isActive: true, studentIds: [] }])
+
+    const result = await inviteParent({ student, email: 'parent@family.com', name: 'Lee Parent', invitedBy: new ObjectId(), inviterName })
+
+    expect(result.status).toBe('linked')
+    expect(sent[0].html).not.toContain('<img')
+    expect(sent[0].html).toContain('&lt;img src=x onerror=alert(1)&gt;')
+  })
+
+  test('keep the invitation and report emailSent: false when the email cannot be sent', async () => {
+    process.env.MAIL_TRANSPORT = 'broken'
+    registerMailTransport('broken', () => ({ send: async () => { throw new Error('SMTP unavailable') } }))
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {})
+
+    const result = await inviteParent({ student, email: 'parent@family.com', name: 'Lee Parent', invitedBy: new ObjectId(), inviterName })
+
+    expect(result).toMatchObject({ status: 'invited', emailSent: false })
+    expect(logged).toHaveBeenCalledWith('Parent invitation email error:', expect.objectContaining({ message: 'SMTP unavailable' }))
+    const [parent] = db.match(User, { email: 'parent@family.com' })
+    expect(parent).toMatchObject({ isActive: false, studentIds: [student._id] })
+    expect(parent.inviteToken).toBeDefined()
+  })
+
+  test('report emailSent: true once the email goes out', async () => {
+    const result = await inviteParent({ student, email: 'parent@family.com', name: 'Lee Parent', invitedBy: new ObjectId(), inviterName })
+
+    expect(result.emailSent).toBe(true)
+    expect(sent).toHaveLength(1)
+  })
+})
@@ -0,0 +1,209 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import express from 'express'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import schoolRoutes from '../src/routes/schools.js'
+import User from '../src/models/User.js'
+import Session from '../src/models/Session.js'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import Class from '../src/models/Class.js'
+import AcademicYear from '../src/models/AcademicYear.js'
+import StudentYearRecord from '../src/models/StudentYearRecord.js'
+import PerformanceHistory from '../src/models/PerformanceHistory.js'
+import { purgeDeletedRecords } from '../src/jobs/trashPurge.js'
+import { getPeriodRanking } from '../src/utils/performance.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'schools-test-secret'
+
+const { ObjectId } = mongoose.Types
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const app = express()
+app.use(express.json())
+app.use('/api/schools', schoolRoutes)
+
+const adminContact = { name: 'Priya Nair', email: 'admin@northfield.com', phone: '+919876543210' }
+const school = (name, extra = {}) => ({ _id: new ObjectId(), name, board: 'CBSE', adminContact, status: 'active', totalStudents: 0, deletedAt: null, deletedBy: null, ...extra })
+
+const superAdmin = { _id: new ObjectId(), name: 'Sam Super', email: 'super@platform.test', role: 'super_admin', isActive: true }
+const session = { _id: new ObjectId(), userId: superAdmin._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }
+const token = new User(superAdmin).getSignedJwtToken(session)
+
+const trashed = school('Northfield Academy', { deletedAt: new Date(Date.now() - 2 * DAY_MS), deletedBy: superAdmin._id })
+const active = school('Riverside High')
+
+let db
+
+const as = (req) => req.set('Authorization', `Bearer ${token}`)
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(User, [superAdmin])
+  db.seed(Session, [session])
+  db.seed(School, [trashed, active])
+})
+
+describe('school names held by the trash', () => {
+  test('creating a school with a trashed school\'s name points to its restore', async () => {
+    const res = await as(request(app).post('/api/schools')).send({ name: trashed.name, board: 'CBSE', adminContact })
+
+    expect(res.status).toBe(409)
+    expect(res.body.schoolId).toBe(trashed._id.toString())
+    expect(res.body.restore).toBe(`/api/schools/${trashed._id}/restore`)
+    expect(db.match(School, { name: trashed.name })).toHaveLength(1)
+  })
+
+  test('renaming a school to a trashed school\'s name points to its restore', async () => {
+    const res = await as(request(app).put(`/api/schools/${active._id}`)).send({ name: trashed.name })
+
+    expect(res.status).toBe(409)
+    expect(res.body.restore).toBe(`/api/schools/${trashed._id}/restore`)
+    expect(db.match(School, { _id: active._id })[0].name).toBe(active.name)
+  })
+
+  test('a name taken by an active school is a plain validation error', async () => {
+    const res = await as(request(app).post('/api/schools')).send({ name: active.name, board: 'CBSE', adminContact })
+
+    expect(res.status).toBe(400)
+    expect(res.body.message).toBe('A school with this name already exists')
+  })
+
+  test('the name can be used again once the trashed school is restored and renamed', async () => {
+    expect((await as(request(app).post(`/api/schools/${trashed._id}/restore`))).status).toBe(200)
+    expect((await as(request(app).put(`/api/schools/${trashed._id}`)).send({ name: 'Northfield Academy (old)' })).status).toBe(200)
+
+    const res = await as(request(app).post('/api/schools')).send({ name: trashed.name, board: 'CBSE', adminContact })
+    expect(res.status).toBe(201)
+  })
+})
+
+describe('staff of a school in the trash', () => {
+  const staff = (role, extra = {}) => ({ _id: new ObjectId(), name: `Test ${role}`, email: `${role}@riverside.com`, role, schoolId: active._id, isActive: true, ...extra })
+  const admin = staff('school_admin')
+  const suspended = staff('teacher', { isActive: false, deactivatedAt: new Date(Date.now() - DAY_MS) })
+  const adminSession = { _id: new ObjectId(), userId: admin._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }
+  const adminToken = new User(admin).getSignedJwtToken(adminSession)
+  const ownSchool = () => request(app).get(`/api/schools/${active._id}`).set('Authorization', `Bearer ${adminToken}`)
+
+  beforeEach(() => {
+    db.seed(User, [superAdmin, admin, suspended])
+    db.seed(Session, [session, adminSession])
+    db.seed(Student, [])
+  })
+
+  test('are signed out when the school is deleted and reactivated when it is restored', async () => {
+    expect((await ownSchool()).status).toBe(200)
+
+    const deleted = await as(request(app).delete(`/api/schools/${active._id}`))
+    expect(deleted.body.staffDeactivated).toBe(1)
+    expect((await ownSchool()).status).toBe(401)
+    expect(db.match(Session, { _id: adminSession._id })[0].revokedAt).toBeInstanceOf(Date)
+
+    const restored = await as(request(app).post(`/api/schools/${active._id}/restore`))
+    expect(restored.body.staffReactivated).toBe(1)
+    expect(db.match(User, { _id: admin._id })[0]).toMatchObject({ isActive: true, deactivatedWithSchool: false })
+    // Old tokens stay signed out; only the account comes back
+    expect((await ownSchool()).status).toBe(401)
+  })
+
+  test('accounts deactivated before the delete stay deactivated after the restore', async () => {
+    await as(request(app).delete(`/api/schools/${active._id}`))
+    await as(request(app).post(`/api/schools/${active._id}/restore`))
+
+    expect(db.match(User, { _id: suspended._id })[0].isActive).toBe(false)
+  })
+})
+
+describe('purgeDeletedRecords', () => {
+  const expired = school('Hillcrest School', { deletedAt: new Date(Date.now() - 40 * DAY_MS), deletedBy: superAdmin._id })
+  const pupil = (name, owner, extra = {}) => ({ _id: new ObjectId(), name, class: 'Class 5A', schoolId: owner._id, performance: {}, deletedAt: owner.deletedAt, ...extra })
+  const staff = (role, owner) => ({ _id: new ObjectId(), name: `${owner.name} ${role}`, email: `${role}@${owner._id}.com`, role, schoolId: owner._id, isActive: true })
+
+  const deletedWithSchool = pupil('Ira Hill', expired, { deletedWithSchool: true })
+  const restoredAlone = pupil('Jay Hill', expired, { deletedAt: null })
+  const keptPupil = pupil('Kim River', active)
+  const expiredStaff = [staff('school_admin', expired), staff('teacher', expired)]
+  const keptStaff = [staff('school_admin', active), staff('teacher', active)]
+  const parent = { _id: new ObjectId(), name: 'Lee Parent', email: 'parent@family.com', role: 'parent', studentIds: [deletedWithSchool._id, keptPupil._id], isActive: true }
+  const owned = (owner) => ({ _id: new ObjectId(), schoolId: owner._id })
+
+  beforeEach(() => {
+    db.seed(School, [trashed, active, expired])
+    db.seed(Student, [deletedWithSchool, restoredAlone, keptPupil])
+    db.seed(User, [superAdmin, parent, ...expiredStaff, ...keptStaff])
+    db.seed(Session, [session, ...[...expiredStaff, ...keptStaff].map(user => ({ _id: new ObjectId(), userId: user._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS) }))])
+    db.seed(Class, [owned(expired), owned(active)])
+    db.seed(AcademicYear, [owned(expired), owned(active)])
+    db.seed(StudentYearRecord, [{ ...owned(expired), studentId: deletedWithSchool._id }, { ...owned(active), studentId: keptPupil._id }])
+  })
+
+  test('removes everything that belonged to an expired school and nothing else', async () => {
+    const result = await purgeDeletedRecords()
+
+    expect(result).toEqual({ students: 2, schools: 1, users: 2 })
+    expect(db.match(School).map(item => item.name).sort()).toEqual([trashed.name, active.name].sort())
+    expect(db.match(Student).map(item => item.name)).toEqual([keptPupil.name])
+    for (const model of [Class, AcademicYear, StudentYearRecord]) {
+      expect(db.match(model).map(item => String(item.schoolId))).toEqual([String(active._id)])
+    }
+    expect(db.match(User).map(item => String(item._id)).sort()).toEqual([superAdmin, parent, ...keptStaff].map(user => String(user._id)).sort())
+    expect(db.match(Session).map(item => String(item.userId)).sort()).toEqual([superAdmin, ...keptStaff].map(user => String(user._id)).sort())
+    expect(db.match(User, { _id: parent._id })[0].studentIds.map(String)).toEqual([String(keptPupil._id)])
+  })
+
+  test('leaves schools that are still restorable alone', async () => {
+    const result = await purgeDeletedRecords(new Date(Date.now() - 20 * DAY_MS))
+
+    expect(result).toEqual({ students: 0, schools: 0, users: 0 })
+    expect(db.match(Class)).toHaveLength(2)
+    expect(db.match(User)).toHaveLength(6)
+  })
+})
+
+describe('POST /api/schools/student-counts/reconcile', () => {
+  beforeEach(() => {
+    db.seed(School, [{ ...active, totalStudents: 5 }])
+    db.seed(Student, [{ _id: new ObjectId(), name: 'Kim River', class: 'Class 5A', schoolId: active._id, deletedAt: null }])
+  })
+
+  test.each([true, 'true'])('dryRun %p only reports', async (dryRun) => {
+    const res = await as(request(app).post('/api/schools/student-counts/reconcile')).send({ dryRun })
+
+    expect(res.status).toBe(200)
+    expect(res.body).toMatchObject({ dryRun: true, corrected: 0, differences: [{ stored: 5, actual: 1 }] })
+    expect(db.match(School, { _id: active._id })[0].totalStudents).toBe(5)
+  })
+
+  test.each([false, 'false', undefined])('dryRun %p corrects the counts', async (dryRun) => {
+    const res = await as(request(app).post('/api/schools/student-counts/reconcile')).send({ dryRun })
+
+    expect(res.body).toMatchObject({ dryRun: false, corrected: 1 })
+    expect(db.match(School, { _id: active._id })[0].totalStudents).toBe(1)
+  })
+
+  test('dryRun must be a boolean', async () => {
+    const res = await as(request(app).post('/api/schools/student-counts/reconcile')).send({ dryRun: 'yes' })
+    expect(res.status).toBe(400)
+  })
+})
+
+describe('getPeriodRanking', () => {
+  const pupil = (name, extra = {}) => ({ _id: new ObjectId(), name, class: 'Class 5A', schoolId: active._id, status: 'active', deletedAt: null, ...extra })
+  const deleted = pupil('Dev Trashed', { deletedAt: new Date(), deletedBy: superAdmin._id })
+  const pupils = [pupil('Asha Verma'), deleted, pupil('Ben Okafor')]
+  const gained = (student, xpPoints) => ({ _id: new ObjectId(), studentId: student._id, schoolId: active._id, source: 'activity', recordedAt: new Date(Date.now() - DAY_MS), changes: { xpPoints, lessonsCompleted: 1, timeSpentMinutes: 10 } })
+
+  test('leaves trashed students out of the ranks even without a class or scope filter', async () => {
+    db.seed(Student, pupils)
+    db.seed(PerformanceHistory, [gained(pupils[0], 50), gained(deleted, 90), gained(pupils[2], 30)])
+
+    const ranking = await getPeriodRanking({ from: new Date(Date.now() - 7 * DAY_MS), to: new Date() })
+
+    expect(ranking.map(entry => [String(entry.studentId), entry.rank])).toEqual([[String(pupils[0]._id), 1], [String(pupils[2]._id), 2]])
+  })
+})
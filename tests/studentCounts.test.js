@@ -0,0 +1,86 @@
+import { afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals'
+import mongoose from 'mongoose'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import { importStudents } from '../src/utils/studentImport.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+const { ObjectId } = mongoose.Types
+
+const school = (name) => ({ _id: new ObjectId(), name, board: 'CBSE', status: 'active', totalStudents: 0, deletedAt: null })
+const northfield = school('Northfield Academy')
+const riverside = school('Riverside High')
+const pupil = (name, owner) => ({ _id: new ObjectId(), name, class: 'Class 5A', rollNumber: name, schoolId: owner._id, status: 'active', deletedAt: null })
+const asha = pupil('Asha Verma', northfield)
+const ben = pupil('Ben Okafor', northfield)
+
+let db
+
+const totals = () => Object.fromEntries(db.match(School).map(item => [item.name, item.totalStudents]))
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+})
+
+beforeEach(() => {
+  db.seed(School, [{ ...northfield, totalStudents: 2 }, riverside])
+  db.seed(Student, [asha, ben])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('School.totalStudents', () => {
+  test('follows a student moved by a pipeline update', async () => {
+    await Student.updateOne({ _id: asha._id }, [{ $set: { schoolId: riverside._id } }])
+
+    expect(totals()).toEqual({ [northfield.name]: 1, [riverside.name]: 1 })
+  })
+
+  test('follows a student moved by an operator other than $set', async () => {
+    await Student.updateOne({ _id: asha._id }, { $rename: { schoolId: 'formerSchoolId' } })
+
+    expect(totals()[northfield.name]).toBe(1)
+  })
+
+  test('counts a student upserted through $setOnInsert', async () => {
+    await Student.updateOne(
+      { rollNumber: 'Cara Singh', name: 'Cara Singh' },
+      { $setOnInsert: { schoolId: riverside._id, class: 'Class 5A' } },
+      { upsert: true }
+    )
+
+    expect(totals()).toEqual({ [northfield.name]: 2, [riverside.name]: 1 })
+  })
+
+  test('counts a student upserted by findOneAndUpdate that returns the old document', async () => {
+    const previous = await Student.findOneAndUpdate(
+      { rollNumber: 'Dan Roy', schoolId: riverside._id },
+      { $set: { name: 'Dan Roy', class: 'Class 5A' } },
+      { upsert: true, new: false }
+    )
+
+    expect(previous).toBeNull()
+    expect(totals()[riverside.name]).toBe(1)
+  })
+
+  test('leaves the counts alone for updates that cannot move students', async () => {
+    const calls = db.calls.length
+    await Student.updateOne({ _id: asha._id }, { $set: { name: 'Asha V.' } })
+
+    expect(db.calls.slice(calls).filter(call => call.model === 'School')).toHaveLength(0)
+  })
+
+  test('is recounted when an import fails part way', async () => {
+    const insertMany = Student.collection.insertMany
+    jest.spyOn(Student.collection, 'insertMany').mockImplementation(async (docs) => {
+      await insertMany(docs.slice(0, 1))
+      throw new Error('connection lost')
+    })
+    const csv = 'name,rollNumber,class,gender\nCara Singh,3,Class 5A,female\nDan Roy,4,Class 5A,male\n'
+
+    await expect(importStudents({ originalname: 'students.csv', buffer: Buffer.from(csv) }, { schoolId: riverside._id })).rejects.toThrow('connection lost')
+    expect(totals()[riverside.name]).toBe(1)
+  })
+})
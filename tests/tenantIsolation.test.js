@@ -0,0 +1,362 @@
+import { beforeAll, beforeEach, describe, expect, test } from '@jest/globals'
+import express from 'express'
+import mongoose from 'mongoose'
+import request from 'supertest'
+import analyticsRoutes from '../src/routes/analytics.js'
+import leaderboardRoutes from '../src/routes/leaderboard.js'
+import exportRoutes from '../src/routes/export.js'
+import { scopeTenant } from '../src/middleware/roleAuth.js'
+import { requireSchoolFeature } from '../src/middleware/schoolFeatures.js'
+import User from '../src/models/User.js'
+import Session from '../src/models/Session.js'
+import School from '../src/models/School.js'
+import Student from '../src/models/Student.js'
+import PerformanceHistory from '../src/models/PerformanceHistory.js'
+import { createMemoryDb } from './helpers/memoryDb.js'
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'tenant-isolation-test-secret'
+
+const { ObjectId } = mongoose.Types
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const app = express()
+app.use(express.json())
+app.use('/api/analytics', analyticsRoutes)
+app.use('/api/leaderboard', leaderboardRoutes)
+app.use('/api/export', exportRoutes)
+
+const features = { hasAnalytics: true, hasExport: true, hasRealTime: false, customBranding: false }
+const ownSchool = { _id: new ObjectId(), name: 'Northfield Academy', board: 'CBSE', status: 'active', totalStudents: 2, features, adminContact: { name: 'Priya Nair', email: 'admin@northfield.test' }, deletedAt: null }
+const otherSchool = { _id: new ObjectId(), name: 'Riverside High', board: 'CBSE', status: 'active', totalStudents: 2, features, adminContact: { name: 'Tom Hale', email: 'admin@riverside.test' }, deletedAt: null }
+
+const teacherClassId = new ObjectId()
+const ownOtherClassId = new ObjectId()
+const otherClassId = new ObjectId()
+
+const student = (name, school, classId, className, { xp, accuracy, skill }) => ({
+  _id: new ObjectId(),
+  name,
+  rollNumber: name.split(' ')[0].toUpperCase(),
+  gender: 'female',
+  class: className,
+  classId,
+  schoolId: school._id,
+  enrollmentDate: new Date('2024-06-01'),
+  status: 'active',
+  performance: {
+    accuracyPercentage: accuracy,
+    lessonsCompleted: 10,
+    timeSpentMinutes: 120,
+    xpPoints: xp,
+    skillAreas: { vocabulary: skill, grammar: skill, pronunciation: skill, listening: skill, speaking: skill },
+    achievements: [{ name: 'First Steps', description: 'Completed a first lesson', tier: 'bronze', earnedAt: new Date('2024-07-01') }]
+  },
+  deletedAt: null
+})
+
+// Both schools have a 'Class 5A', so a filter that forgets the school picks up the other school's pupils
+const asha = student('Asha Verma', ownSchool, teacherClassId, 'Class 5A', { xp: 400, accuracy: 70, skill: 40 })
+const ben = student('Ben Okafor', ownSchool, ownOtherClassId, 'Class 5B', { xp: 300, accuracy: 80, skill: 60 })
+const carla = student('Carla Riverside', otherSchool, otherClassId, 'Class 5A', { xp: 900, accuracy: 95, skill: 100 })
+const dev = student('Dev Riverside', otherSchool, otherClassId, 'Class 5A', { xp: 800, accuracy: 90, skill: 100 })
+const students = [asha, ben, carla, dev]
+
+const history = students.flatMap(s => [2, 10].map(daysAgo => ({
+  _id: new ObjectId(),
+  studentId: s._id,
+  schoolId: s.schoolId,
+  source: 'activity',
+  recordedAt: new Date(Date.now() - daysAgo * DAY_MS),
+  performance: { accuracyPercentage: s.performance.accuracyPercentage },
+  changes: { xpPoints: s.performance.xpPoints / 10, lessonsCompleted: 1, timeSpentMinutes: 10 }
+})))
+
+const account = (role, extra) => ({ _id: new ObjectId(), name: `Test ${role}`, email: `${role}@northfield.test`, role, schoolId: ownSchool._id, isActive: true, ...extra })
+const callers = {
+  school_admin: { user: account('school_admin'), visible: [asha, ben] },
+  teacher: { user: account('teacher', { classIds: [teacherClassId] }), visible: [asha] }
+}
+
+// Anything identifying the other school that must never reach a response
+const otherSchoolMarkers = [otherSchool.name, otherSchool._id.toString(), otherSchool.adminContact.email, carla.name, dev.name, carla._id.toString(), dev._id.toString()]
+
+const names = (list) => list.map(s => s.name).sort()
+const sum = (list, key) => list.reduce((total, item) => total + item[key], 0)
+const average = (list, pick) => list.reduce((total, item) => total + pick(item), 0) / list.length
+
+// Every reporting route. `body` is the POST payload without schoolId, `adminOnly` routes are closed to
+// teachers, and `check` asserts the response only holds the caller's (visible) data.
+const routes = [
+  {
+    method: 'get',
+    path: '/api/analytics/dashboard',
+    check: (res, visible) => {
+      expect(res.body.overview.students.totalStudents).toBe(visible.length)
+      expect(res.body.overview.schools.totalSchools).toBe(1)
+      expect(res.body.overview.schools.totalStudents).toBe(ownSchool.totalStudents)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/performance/distribution',
+    check: (res, visible) => expect(res.body.totalStudents).toBe(visible.length)
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/performance/skills',
+    check: (res, visible) => expect(res.body.skills[0].average).toBe(average(visible, s => s.performance.skillAreas.vocabulary))
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/engagement/trends',
+    check: (res, visible) => expect(sum(res.body.trends, 'newStudents')).toBe(visible.length)
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/schools/top-performing',
+    adminOnly: true,
+    check: (res) => expect(res.body.map(s => s.name)).toEqual([ownSchool.name])
+  },
+  {
+    method: 'get',
+    path: '/api/analytics/comparative',
+    adminOnly: true,
+    check: (res, visible) => {
+      expect(res.body.currentSchool).toBe(ownSchool.name)
+      expect(res.body.performanceComparison.accuracy.current).toBe(average(visible, s => s.performance.accuracyPercentage))
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/students/top',
+    check: (res, visible) => expect(names(res.body.leaderboard)).toEqual(names(visible))
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/students/top?period=weekly',
+    check: (res, visible) => {
+      expect(names(res.body.leaderboard)).toEqual(names(visible))
+      expect(res.body.total).toBe(visible.length)
+    }
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/students/top?period=term',
+    check: (res, visible) => expect(names(res.body.leaderboard)).toEqual(names(visible))
+  },
+  {
+    method: 'get',
+    path: `/api/leaderboard/students/${asha._id}/rank`,
+    check: (res, visible) => expect(res.body.totalStudents).toBe(visible.length)
+  },
+  {
+    method: 'get',
+    path: `/api/leaderboard/classes/${encodeURIComponent('Class 5A')}`,
+    check: (res) => expect(names(res.body.leaderboard)).toEqual([asha.name])
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/schools',
+    check: (res) => expect(res.body.leaderboard.map(s => s.name)).toEqual([ownSchool.name])
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/subjects/vocabulary',
+    check: (res, visible) => expect(names(res.body.leaderboard)).toEqual(names(visible))
+  },
+  {
+    method: 'get',
+    path: '/api/leaderboard/achievements',
+    check: (res, visible) => expect(res.body.achievements.map(a => a.student).sort()).toEqual(names(visible))
+  },
+  {
+    method: 'post',
+    path: '/api/export/students',
+    body: { format: 'json' },
+    check: (res, visible) => expect(names(res.body.data)).toEqual(names(visible))
+  },
+  {
+    method: 'post',
+    path: '/api/export/students',
+    body: { format: 'csv' },
+    check: (res, visible) => visible.forEach(s => expect(res.text).toContain(s.name))
+  },
+  {
+    method: 'post',
+    path: '/api/export/students',
+    body: { format: 'pdf' },
+    check: (res) => expect(res.headers['content-type']).toMatch(/pdf/)
+  },
+  {
+    method: 'post',
+    path: '/api/export/schools',
+    body: { format: 'json' },
+    adminOnly: true,
+    check: (res) => expect(res.body.data.map(s => s.name)).toEqual([ownSchool.name])
+  },
+  {
+    method: 'post',
+    path: '/api/export/schools',
+    body: { format: 'csv' },
+    adminOnly: true,
+    check: (res) => expect(res.text).toContain(ownSchool.name)
+  },
+  {
+    method: 'post',
+    path: '/api/export/analytics',
+    body: { format: 'json', type: 'overview' },
+    adminOnly: true,
+    check: (res, visible) => {
+      expect(res.body.data.overview.students.totalStudents).toBe(visible.length)
+      expect(res.body.data.overview.schools.totalSchools).toBe(1)
+    }
+  },
+  {
+    method: 'post',
+    path: '/api/export/analytics',
+    body: { format: 'json', type: 'performance' },
+    adminOnly: true,
+    check: (res, visible) => expect(res.body.data.performance.totalStudents).toBe(visible.length)
+  },
+  {
+    method: 'post',
+    path: '/api/export/analytics',
+    body: { format: 'json', type: 'engagement' },
+    adminOnly: true,
+    check: (res, visible) => expect(sum(res.body.data.engagement.trends, 'count')).toBe(visible.length)
+  },
+  {
+    method: 'post',
+    path: '/api/export/analytics',
+    body: { format: 'csv', type: 'overview' },
+    adminOnly: true,
+    check: (res, visible) => expect(res.text).toContain(`Total Students,${visible.length}`)
+  },
+  {
+    method: 'post',
+    path: '/api/export/leaderboard',
+    body: { format: 'json', type: 'students' },
+    check: (res, visible) => expect(names(res.body.data)).toEqual(names(visible))
+  },
+  {
+    method: 'post',
+    path: '/api/export/leaderboard',
+    body: { format: 'csv', type: 'students' },
+    check: (res, visible) => visible.forEach(s => expect(res.text).toContain(s.name))
+  },
+  {
+    method: 'post',
+    path: '/api/export/leaderboard',
+    body: { format: 'json', type: 'schools' },
+    check: (res) => expect(res.body.data.map(s => s.name)).toEqual([ownSchool.name])
+  }
+]
+
+let db
+const tokens = {}
+
+// Send a route's request, with schoolId in the query string for GETs and in the body for POSTs
+const send = (route, role, schoolId) => {
+  let url = route.path
+  if (route.method === 'get' && schoolId !== undefined) url += `${url.includes('?') ? '&' : '?'}schoolId=${encodeURIComponent(schoolId)}`
+  const req = request(app)[route.method](url).set('Authorization', `Bearer ${tokens[role]}`)
+  if (route.method === 'post') return req.send({ ...route.body, ...(schoolId !== undefined ? { schoolId } : {}) })
+  return req
+}
+
+// The $match stages a pipeline opens with (the soft delete plugin may add one of its own)
+const leadingMatches = (pipeline) => {
+  const end = pipeline.findIndex(stage => !stage.$match)
+  const matches = pipeline.slice(0, end === -1 ? pipeline.length : end).map(stage => stage.$match)
+  expect(matches.length).toBeGreaterThan(0)
+  return matches
+}
+
+const label = (route) => `${route.method.toUpperCase()} ${route.path}${route.body ? ` ${JSON.stringify(route.body)}` : ''}`
+
+beforeAll(() => {
+  db = createMemoryDb(Object.values(mongoose.models))
+
+  const sessions = Object.values(callers).map(({ user }) => ({ _id: new ObjectId(), userId: user._id, tokenId: 'token', expiresAt: new Date(Date.now() + DAY_MS), revokedAt: null }))
+  Object.entries(callers).forEach(([role, { user }], i) => {
+    tokens[role] = new User(user).getSignedJwtToken(sessions[i])
+  })
+
+  db.seed(User, Object.values(callers).map(({ user }) => user))
+  db.seed(Session, sessions)
+  db.seed(School, [ownSchool, otherSchool])
+  db.seed(Student, students)
+  db.seed(PerformanceHistory, history)
+})
+
+beforeEach(() => {
+  db.calls.length = 0
+})
+
+describe('reporting routers', () => {
+  test.each([
+    ['analytics', analyticsRoutes],
+    ['leaderboard', leaderboardRoutes],
+    ['export', exportRoutes]
+  ])('%s runs scopeTenant ahead of every route', (name, router) => {
+    const scopeIndex = router.stack.findIndex(layer => layer.handle === scopeTenant)
+    const firstRoute = router.stack.findIndex(layer => layer.route)
+    expect(scopeIndex).toBeGreaterThanOrEqual(0)
+    expect(scopeIndex).toBeLessThan(firstRoute)
+  })
+
+  test('only school features with endpoints to gate can be required', () => {
+    expect(() => requireSchoolFeature('hasAnalytics')).not.toThrow()
+    expect(() => requireSchoolFeature('hasRealTime')).toThrow(/not an enforced school feature/)
+    expect(() => requireSchoolFeature('customBranding')).toThrow(/not an enforced school feature/)
+  })
+})
+
+describe.each(Object.keys(callers))('tenant isolation for a %s', (role) => {
+  const { visible } = callers[role]
+  const visibleIds = visible.map(s => s._id.toString())
+
+  describe.each(routes.map(route => [label(route), route]))('%s', (name, route) => {
+    test('refuses another school\'s schoolId', async () => {
+      const res = await send(route, role, otherSchool._id.toString())
+      expect(res.status).toBe(403)
+      expect(res.body.message).toMatch(/own school/)
+    })
+
+    test('rejects an invalid schoolId', async () => {
+      const res = await send(route, role, 'not-a-school')
+      expect(res.status).toBe(400)
+      expect(res.body.message).toBe('Invalid schoolId')
+    })
+
+    if (route.adminOnly && role === 'teacher') {
+      test('stays closed to teachers without a schoolId', async () => {
+        const res = await send(route, role)
+        expect(res.status).toBe(403)
+        expect(db.calls.filter(call => call.model === 'Student')).toEqual([])
+      })
+      return
+    }
+
+    test('only returns the caller\'s own school without a schoolId', async () => {
+      const res = await send(route, role)
+      expect(res.status).toBe(200)
+      route.check(res, visible)
+
+      const text = res.text ?? ''
+      otherSchoolMarkers.forEach(marker => expect(text).not.toContain(marker))
+
+      // No student query the route ran may reach past the caller's students
+      db.calls.filter(call => call.model === 'Student').forEach(call => {
+        const filter = call.op === 'aggregate' ? { $and: leadingMatches(call.pipeline) } : call.filter
+        db.match(Student, filter).forEach(doc => expect(visibleIds).toContain(doc._id.toString()))
+      })
+    })
+  })
+
+  test('refuses the rank of another school\'s student', async () => {
+    const res = await request(app).get(`/api/leaderboard/students/${carla._id}/rank`).set('Authorization', `Bearer ${tokens[role]}`)
+    expect(res.status).toBe(403)
+    expect(res.text).not.toContain(carla.name)
+  })
+})